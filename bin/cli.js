@@ -1,14 +1,231 @@
 #!/usr/bin/env node
 
+const fs = require('fs').promises;
 const { program } = require('commander');
+const { BSON } = require('mongodb');
 const { MongoDumper } = require('../lib/mongo-dumper');
 const { MongoRestorer } = require('../lib/mongo-restorer');
+const { MongoVerifier } = require('../lib/mongo-verifier');
+const { MongoArchiver } = require('../lib/mongo-archiver');
+const { MongoTailer } = require('../lib/mongo-tailer');
+const { findConfigFile, loadConfigFile, resolveProfile } = require('../lib/config');
+const { OUTPUT_FORMATS, assertFormat, createReporter, errorMessage } = require('../lib/event-log');
+
+// Split "createdAt,events=ts,logs=timestamp" into a default field and per-collection fields
+function parseDateFieldOption(spec) {
+    const result = { dateField: undefined, dateFields: {} };
+    if (!spec) return result;
+
+    for (const entry of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            result.dateField = entry;
+        } else {
+            result.dateFields[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+        }
+    }
+    return result;
+}
+
+// Repeatable flags also accept comma-separated values: --exclude 'system.*,*_tmp'
+function collectList(value, previous) {
+    return previous.concat(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+// Options holding a MongoDB document; config files may give these as objects
+const DOCUMENT_OPTIONS = ['query', 'projection'];
+
+// Config values use the same shapes the flags accept: lists become "a,b" and
+// mappings become "key=value,key=value"
+function toOptionValue(value) {
+    if (Array.isArray(value)) {
+        return value.join(',');
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => `${key}=${item}`).join(',');
+    }
+    return value;
+}
+
+// Fill in options from the config file that weren't given on the command line
+async function applyConfig(command) {
+    const { config: configPath } = program.opts();
+    const profile = program.opts().profile || process.env.MONGO_BACKUP_PROFILE;
+
+    const filePath = configPath || await findConfigFile();
+    if (!filePath) {
+        if (profile) {
+            throw new Error(`--profile '${profile}' given but no config file found`);
+        }
+        return;
+    }
+
+    const config = await loadConfigFile(filePath);
+    const resolved = resolveProfile(config, { profile, command: command.name() });
+
+    const knownOptions = new Set(program.commands.flatMap(cmd => cmd.options.map(option => option.attributeName())));
+    for (const [key, value] of Object.entries(resolved.options)) {
+        if (!knownOptions.has(key)) {
+            console.warn(`⚠ Unknown option '${key}' in ${filePath}`);
+            continue;
+        }
+        const option = command.options.find(item => item.attributeName() === key);
+        if (!option) {
+            continue;
+        }
+
+        const source = command.getOptionValueSource(key);
+        if (source === undefined || source === 'default') {
+            // Repeatable flags (--include, --exclude) hold arrays
+            let optionValue = toOptionValue(value);
+            if (Array.isArray(option.defaultValue)) {
+                optionValue = collectList(optionValue, []);
+            } else if (DOCUMENT_OPTIONS.includes(key)) {
+                optionValue = value;
+            }
+            command.setOptionValueWithSource(key, optionValue, 'config');
+        }
+    }
+
+    // stderr: this runs before createOutput, and stdout may carry --output json or ndjson events
+    console.error(`Using config ${filePath}${resolved.profile ? ` (profile: ${resolved.profile})` : ''}`);
+}
+
+// -c orders,events selects several collections; a single name keeps the one-collection mode
+function parseCollectionOptions(options) {
+    const names = options.collection ? collectList(options.collection, []) : [];
+    const multiple = names.length > 1 || options.include.length > 0 || options.exclude.length > 0;
+    return {
+        collection: multiple ? undefined : names[0],
+        collections: multiple ? names : [],
+        include: options.include,
+        exclude: options.exclude
+    };
+}
+
+// --query / --projection take Extended JSON, so {"$date": ...} and {"$oid": ...} work
+function parseDocumentOption(value, flag) {
+    if (value === undefined || value === null) return null;
+    try {
+        const doc = typeof value === 'string' ? BSON.EJSON.parse(value) : BSON.EJSON.deserialize(value);
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new Error('expected a document');
+        }
+        return doc;
+    } catch (error) {
+        throw new Error(`Invalid ${flag}: ${error.message}`);
+    }
+}
+
+async function readQueryOptions(options) {
+    if (options.query && options.queryFile) {
+        throw new Error('Use either --query or --query-file, not both');
+    }
+    const queryText = options.queryFile ? await fs.readFile(options.queryFile, 'utf8') : options.query;
+    return {
+        query: parseDocumentOption(queryText, options.queryFile ? `--query-file ${options.queryFile}` : '--query'),
+        projection: parseDocumentOption(options.projection, '--projection')
+    };
+}
+
+// Exit codes, so schedulers can tell a partial backup from a complete or a failed one
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    partial: 2,
+    verificationFailed: 3,
+    cancelled: 130
+};
+
+// Final line of a dump or restore over several collections and the code to exit with:
+// partial when only some collections failed, failure when all of them did
+function finishRun(operation, result, successMessage) {
+    const failed = (result.collections || []).filter(coll => coll.status === 'failed');
+    if (result.status === 'partial') {
+        console.error(`\n⚠ ${operation} partially failed: ${failed.length} of ${result.collections.length} collections failed (${failed.map(coll => coll.collection).join(', ')})`);
+        return EXIT_CODES.partial;
+    }
+    if (result.status === 'failed') {
+        console.error(`\n✗ ${operation} failed: all ${failed.length} collections failed`);
+        return EXIT_CODES.failure;
+    }
+    console.log(successMessage);
+    return EXIT_CODES.success;
+}
+
+// SIGINT/SIGTERM abort this signal while a dump or restore runs: it stops at the next
+// document, removes partial chunks, saves its state and exits with EXIT_CODES.cancelled.
+// Other commands, and a second signal, exit at once.
+const cancellation = new AbortController();
+let cancellableRun = false;
+
+function handleSignal(signal) {
+    if (cancellableRun && !cancellation.signal.aborted) {
+        console.log(`\n\nReceived ${signal}. Cancelling; completed chunks stay saved for resume (repeat to force exit)...`);
+        cancellation.abort();
+        return;
+    }
+    console.log(`\n\nReceived ${signal}. Graceful shutdown...`);
+    process.exit(EXIT_CODES.cancelled);
+}
+
+// --fail-fast is short for --on-error fail-fast
+function errorPolicyOption(options) {
+    return options.failFast ? 'fail-fast' : options.onError;
+}
+
+// --output json prints the command's result object and --log-format ndjson streams
+// lifecycle events. Whatever goes to stdout must stay machine-readable, so the
+// human-readable progress moves to stderr then.
+async function createOutput(command, options) {
+    const format = options.output || 'text';
+    assertFormat(format, OUTPUT_FORMATS, 'output format');
+
+    const writeStdout = process.stdout.write.bind(process.stdout);
+    const reporter = await createReporter({ logFormat: options.logFormat, logFile: options.logFile, write: writeStdout });
+    const eventsOnStdout = reporter !== null && !options.logFile;
+    if (format === 'json' || eventsOnStdout) {
+        process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+
+    const finish = async (summary) => {
+        if (reporter) {
+            reporter.event('run.summary', summary);
+            await reporter.close();
+        }
+        // With events on stdout, their run.summary line already carries the result
+        if (format === 'json' && !eventsOnStdout) {
+            await new Promise(resolve => writeStdout(`${JSON.stringify(summary, null, 2)}\n`, resolve));
+        }
+    };
+
+    return {
+        reporter,
+        completed: (result) => finish({ command, status: result.status || 'completed', result }),
+        failed: (error) => finish({
+            command,
+            status: error.cancelled ? 'cancelled' : 'failed',
+            error: errorMessage(error),
+            ...(error.result ? { result: error.result } : {})
+        })
+    };
+}
 
 // CLI Setup
 program
     .name('mongo-backup')
     .description('MongoDB collection dumper and restorer with monthly splitting and resume capability')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('--config <file>', 'Config file (default: mongo-backup.config.json|js|yaml in the current directory)')
+    .option('--profile <name>', 'Named profile from the config file (default: $MONGO_BACKUP_PROFILE or defaultProfile)')
+    .hook('preAction', async (thisCommand, actionCommand) => {
+        try {
+            await applyConfig(actionCommand);
+        } catch (error) {
+            console.error('\n✗ Config error:', error.message);
+            process.exit(1);
+        }
+    });
 
 // Dump command
 program
@@ -21,23 +238,54 @@ program
     .option('--password <password>', 'MongoDB password')
     .option('--authentication-database <db>', 'Authentication database')
     .option('-d, --database <name>', 'Database name', 'test')
-    .option('-c, --collection <name>', 'Collection name (if not specified, dumps all non-empty collections)')
-    .requiredOption('-f, --date-field <field>', 'Date field for splitting (required)')
+    .option('-c, --collection <names>', 'Collection name, or several comma-separated (if not specified, dumps all non-empty collections)')
+    .option('--include <pattern>', 'Only dump collections matching this glob (repeatable)', collectList, [])
+    .option('--exclude <pattern>', 'Skip collections matching this glob, e.g. "system.*" (repeatable)', collectList, [])
+    .option('-f, --date-field <field>', 'Date field for splitting, or per-collection fields (e.g. "createdAt,events=ts,logs=timestamp"); use _id for ObjectId creation time')
+    .option('--auto-date-field', 'Detect the date field of collections without one by sampling for indexed Date fields')
+    .option('--split-by-objectid', 'Split by ObjectId creation time of _id (same as --date-field _id)')
     .option('-o, --output-dir <dir>', 'Output directory', './dump-backup')
     .option('-b, --batch-size <size>', 'Batch size for querying (capped at 10K for 10M+ documents)', '50000')
     .option('-z, --compress', 'Compress output files with gzip (default: true)')
     .option('--no-compress', 'Disable compression')
     .option('--format <format>', 'Output format (json|bson)', 'json')
+    .option('--split-by <unit>', 'Split granularity (day|week|month|quarter|year)', 'month')
+    .option('--date-values <types>', 'How to read the date field, comma-separated (date,string,epoch-millis,objectid; default: date, or objectid for _id)')
+    .option('--max-docs-per-chunk <count>', 'Subdivide periods holding more documents than this into parts')
+    .option('--engine <engine>', 'Dump engine: native driver or external mongodump (native|mongodump)', 'native')
+    .option('--parallel <n>', 'Chunks to dump at once, across periods and collections', '1')
+    .option('--on-error <policy>', 'After a failed chunk or collection: continue with the rest, or fail-fast', 'continue')
+    .option('--fail-fast', 'Stop at the first failed chunk or collection (same as --on-error fail-fast)')
+    .option('--incremental', 'Only dump periods still open at the last run, plus documents changed since then')
+    .option('--watermark-field <field>', 'Field tracking document changes for --incremental (default: the date field)')
+    .option('--query <extjson>', 'Extra filter ANDed with each chunk\'s date range, as Extended JSON (e.g. \'{"tenantId":"acme"}\')')
+    .option('--query-file <path>', 'Read the --query filter from a file')
+    .option('--projection <extjson>', 'Fields to keep or drop in dumped documents (e.g. \'{"rawPayload":0}\'; native engine)')
+    .option('--redact <rules-file>', 'Drop, hash, fake, truncate or null fields before writing chunks (native engine)')
     .option('--skip-index-extraction', 'Skip automatic index extraction and saving (default: false)')
     .option('--enable-gc', 'Enable aggressive garbage collection for large datasets')
     .option('--debug-listeners', 'Enable debug logging for event listener counts')
+    .option('--output <format>', 'Result format: text, or json (the result object on stdout)', 'text')
+    .option('--log-format <format>', 'Progress format: text, or ndjson lifecycle events', 'text')
+    .option('--log-file <path>', 'Append --log-format ndjson events to this file instead of stdout')
     .action(async (options) => {
+        if (!options.dateField && !options.splitByObjectId && !options.autoDateField) {
+            console.error('Error: Must specify --date-field, --split-by-objectid or --auto-date-field');
+            process.exit(1);
+        }
 
         // Parse numeric options and handle compression default
         const parsedOptions = {
             ...options,
+            ...parseCollectionOptions(options),
+            ...parseDateFieldOption(options.dateField),
+            autoDetectDateField: options.autoDateField || false,
             batchSize: parseInt(options.batchSize),
             port: parseInt(options.port),
+            maxDocsPerChunk: options.maxDocsPerChunk ? parseInt(options.maxDocsPerChunk) : null,
+            parallel: options.parallel,
+            errorPolicy: errorPolicyOption(options),
+            dateValues: options.dateValues ? options.dateValues.split(',').map(type => type.trim()) : null,
             compress: options.noCompress ? false : (options.compress !== undefined ? options.compress : true),
             skipIndexExtraction: options.skipIndexExtraction || false,
             debugListeners: options.debugListeners || false
@@ -62,21 +310,78 @@ program
             }
         }
 
-        const dumper = new MongoDumper(parsedOptions);
-
+        let output = null;
         try {
-            if (options.collection) {
+            output = await createOutput('dump', options);
+            const dumper = new MongoDumper({
+                ...parsedOptions,
+                ...await readQueryOptions(options),
+                reporter: output.reporter,
+                signal: cancellation.signal
+            });
+            cancellableRun = true;
+
+            let result;
+            let exitCode;
+            if (parsedOptions.collection) {
                 // Dump single collection
-                await dumper.run();
-                console.log('\n✓ Dump completed!');
+                result = await dumper.run();
+                exitCode = finishRun('Dump', result, '\n✓ Dump completed!');
             } else {
                 // Dump all non-empty collections
-                await dumper.dumpAllCollections();
-                console.log('\n✓ All collections dump completed!');
+                result = await dumper.dumpAllCollections();
+                exitCode = finishRun('Dump', result, '\n✓ All collections dump completed!');
+            }
+            await output.completed(result);
+            process.exit(exitCode);
+        } catch (error) {
+            if (error.cancelled) {
+                console.error('\n✗ Dump cancelled; rerun the same command to resume');
+            } else {
+                console.error('\n✗ Dump failed:', error.message);
+            }
+            if (output) await output.failed(error);
+            process.exit(error.cancelled ? EXIT_CODES.cancelled : EXIT_CODES.failure);
+        }
+    });
+
+// Verify command
+program
+    .command('verify')
+    .description('Verify backup chunks against the manifest and, optionally, the live collection')
+    .option('-u, --uri <uri>', 'MongoDB connection URI', 'mongodb://localhost:27017')
+    .option('-h, --host <host>', 'MongoDB host', 'localhost')
+    .option('-p, --port <port>', 'MongoDB port', '27017')
+    .option('--username <username>', 'MongoDB username')
+    .option('--password <password>', 'MongoDB password')
+    .option('--authentication-database <db>', 'Authentication database')
+    .option('-d, --database <name>', 'Database name', 'test')
+    .option('-c, --collection <name>', 'Collection name (if not specified, verifies every collection in the manifest)')
+    .option('-i, --input-dir <dir>', 'Backup directory containing manifest.json', './dump-backup')
+    .option('--periods <periods>', 'Specific periods to verify (comma-separated)')
+    .option('--live', 'Also compare per-chunk document counts against the live collection')
+    .option('--adopt-legacy', 'Add chunks of backups made before manifest.json to the manifest once they read back cleanly')
+    .action(async (options) => {
+        const parsedOptions = {
+            ...options,
+            port: parseInt(options.port),
+            periods: options.periods ? options.periods.split(',').map(p => p.trim()) : null,
+            live: options.live || false,
+            adoptLegacy: options.adoptLegacy || false
+        };
+
+        try {
+            const verifier = new MongoVerifier(parsedOptions);
+            const result = await verifier.run();
+
+            if (result.failed.length > 0) {
+                console.error(`\n✗ Verification failed for ${result.failed.length} chunks`);
+                process.exit(EXIT_CODES.verificationFailed);
             }
+            console.log(`\n✓ Verification passed: ${result.passed.length} chunks`);
             process.exit(0);
         } catch (error) {
-            console.error('\n✗ Dump failed:', error.message);
+            console.error('\n✗ Verify failed:', error.message);
             process.exit(1);
         }
     });
@@ -84,24 +389,31 @@ program
 // Clean command
 program
     .command('clean')
-    .description('Delete already-backed-up months after validation')
+    .description('Delete already-backed-up months that have passed verify')
     .option('-d, --database <name>', 'Database name', 'test')
     .option('-c, --collection <name>', 'Collection name')
+    .option('-f, --date-field <field>', 'Only consider months completed for this date field')
     .option('-o, --output-dir <dir>', 'Output directory containing backup files', './dump-backup')
-    .option('-m, --months <months>', 'Specific months to delete (comma-separated, e.g., "2023-01,2023-02")')
+    .option('--periods <periods>', 'Specific periods to delete (comma-separated, e.g., "2023-01,2023-02" or "2023-Q1")')
+    .option('-m, --months <months>', 'Alias for --periods')
+    .option('--split-by <unit>', 'Only consider periods completed with this split granularity')
     .option('--dry-run', 'Show what would be deleted without actually deleting')
     .option('--no-confirm', 'Skip confirmation prompt (use with caution)')
     .option('-z, --compress', 'Assume compressed files (.gz)')
     .option('--no-compress', 'Assume uncompressed files')
     .option('--format <format>', 'Backup file format (json|bson)', 'json')
+    .option('--output <format>', 'Result format: text, or json (the result object on stdout)', 'text')
+    .option('--log-format <format>', 'Progress format: text, or ndjson lifecycle events', 'text')
+    .option('--log-file <path>', 'Append --log-format ndjson events to this file instead of stdout')
     .action(async (options) => {
         if (!options.collection) {
             console.error('Error: Collection name is required');
             process.exit(1);
         }
 
-        // Parse months if provided
-        const months = options.months ? options.months.split(',').map(m => m.trim()) : null;
+        // Parse periods if provided
+        const periodList = options.periods || options.months;
+        const periods = periodList ? periodList.split(',').map(p => p.trim()) : null;
 
         // Parse options
         const parsedOptions = {
@@ -110,21 +422,23 @@ program
             confirmDelete: options.confirm !== false // Default to true unless --no-confirm
         };
 
-        const dumper = new MongoDumper(parsedOptions);
-
+        let output = null;
         try {
+            output = await createOutput('clean', options);
+            const dumper = new MongoDumper(parsedOptions);
             const result = await dumper.cleanBackedUpData({
-                months,
+                periods,
                 confirmDelete: parsedOptions.confirmDelete,
                 dryRun: options.dryRun
             });
+            await output.completed(result);
 
             if (options.dryRun) {
-                console.log(`\n✓ Dry run completed: ${result.dryRun?.length || 0} files would be deleted`);
+                console.log(`\n✓ Dry run completed: ${result.dryRun?.length || 0} chunks would be deleted`);
             } else if (result.cancelled) {
                 console.log('\n✓ Clean operation cancelled');
             } else {
-                console.log(`\n✓ Clean completed: ${result.deleted.length} files deleted`);
+                console.log(`\n✓ Clean completed: ${result.deleted.length} chunks deleted`);
                 if (result.errors.length > 0) {
                     console.log(`   ${result.errors.length} errors occurred`);
                     process.exit(1);
@@ -134,6 +448,111 @@ program
             process.exit(0);
         } catch (error) {
             console.error('\n✗ Clean failed:', error.message);
+            if (output) await output.failed(error);
+            process.exit(1);
+        }
+    });
+
+// Archive command
+program
+    .command('archive')
+    .description('Delete source documents for periods that are backed up and verified')
+    .addHelpText('after', `
+A period is only deleted when its live documents match the verified backup in count
+and content. Writes that land in the range while its batches are being deleted are
+not detected, so archive periods that no longer receive writes.`)
+    .option('-u, --uri <uri>', 'MongoDB connection URI', 'mongodb://localhost:27017')
+    .option('-h, --host <host>', 'MongoDB host', 'localhost')
+    .option('-p, --port <port>', 'MongoDB port', '27017')
+    .option('--username <username>', 'MongoDB username')
+    .option('--password <password>', 'MongoDB password')
+    .option('--authentication-database <db>', 'Authentication database')
+    .option('-d, --database <name>', 'Database name', 'test')
+    .option('-c, --collection <name>', 'Collection name')
+    .option('-o, --output-dir <dir>', 'Backup directory containing manifest.json', './dump-backup')
+    .option('--periods <periods>', 'Specific periods to archive (comma-separated)')
+    .option('--before <date>', 'Only archive chunks ending on or before this date')
+    .option('--keep-periods <count>', 'Keep this many most recent periods (including the current one) in the source')
+    .option('-b, --batch-size <size>', 'Documents deleted per batch', '1000')
+    .option('--throttle-ms <ms>', 'Pause between delete batches in milliseconds', '100')
+    .option('--dry-run', 'Show what would be deleted without actually deleting')
+    .option('--no-confirm', 'Skip the per-period confirmation prompt (use with caution)')
+    .action(async (options) => {
+        if (!options.collection) {
+            console.error('Error: Collection name is required');
+            process.exit(1);
+        }
+
+        const parsedOptions = {
+            ...options,
+            port: parseInt(options.port),
+            periods: options.periods ? options.periods.split(',').map(p => p.trim()) : null,
+            keepPeriods: options.keepPeriods ? parseInt(options.keepPeriods) : null,
+            batchSize: parseInt(options.batchSize),
+            throttleMs: parseInt(options.throttleMs),
+            dryRun: options.dryRun || false,
+            confirmDelete: options.confirm !== false
+        };
+
+        try {
+            const archiver = new MongoArchiver(parsedOptions);
+            const result = await archiver.run();
+
+            if (options.dryRun) {
+                console.log(`\n✓ Dry run completed: ${result.archived.length} chunks would be archived`);
+            } else {
+                console.log(`\n✓ Archive completed: ${result.archived.length} chunks archived`);
+            }
+            process.exit(0);
+        } catch (error) {
+            console.error('\n✗ Archive failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+// Prune command
+program
+    .command('prune')
+    .description('Delete old backup runs according to retention rules')
+    .option('-r, --root-dir <dir>', 'Directory whose subdirectories are individual backup runs', './dump-backup')
+    .option('--keep-last <count>', 'Keep the most recent N runs')
+    .option('--keep-daily <count>', 'Keep the newest run of each of the last N days')
+    .option('--keep-weekly <count>', 'Keep the newest run of each of the last N weeks')
+    .option('--keep-monthly <count>', 'Keep the newest run of each of the last N months')
+    .option('--keep-yearly <count>', 'Keep the newest run of each of the last N years')
+    .option('--dry-run', 'Show what would be deleted without actually deleting')
+    .option('--no-confirm', 'Skip confirmation prompt (use with caution)')
+    .action(async (options) => {
+        const parseCount = (value) => (value !== undefined ? parseInt(value) : undefined);
+
+        try {
+            const dumper = new MongoDumper({ outputDir: options.rootDir });
+            const result = await dumper.pruneBackupRuns({
+                rootDir: options.rootDir,
+                keepLast: parseCount(options.keepLast),
+                keepDaily: parseCount(options.keepDaily),
+                keepWeekly: parseCount(options.keepWeekly),
+                keepMonthly: parseCount(options.keepMonthly),
+                keepYearly: parseCount(options.keepYearly),
+                confirmDelete: options.confirm !== false,
+                dryRun: options.dryRun
+            });
+
+            if (options.dryRun) {
+                console.log(`\n✓ Dry run completed: ${result.dryRun?.length || 0} runs would be deleted`);
+            } else if (result.cancelled) {
+                console.log('\n✓ Prune operation cancelled');
+            } else {
+                console.log(`\n✓ Prune completed: ${result.deleted.length} runs deleted`);
+                if (result.errors.length > 0) {
+                    console.log(`   ${result.errors.length} errors occurred`);
+                    process.exit(1);
+                }
+            }
+
+            process.exit(0);
+        } catch (error) {
+            console.error('\n✗ Prune failed:', error.message);
             process.exit(1);
         }
     });
@@ -149,6 +568,11 @@ program
     .option('--password <password>', 'MongoDB password')
     .option('--authentication-database <db>', 'Authentication database')
     .option('-d, --database <name>', 'Database name', 'test')
+    .option('--include <pattern>', 'Only list collections matching this glob (repeatable)', collectList, [])
+    .option('--exclude <pattern>', 'Skip collections matching this glob (repeatable)', collectList, [])
+    .option('--output <format>', 'Result format: text, or json (the result object on stdout)', 'text')
+    .option('--log-format <format>', 'Progress format: text, or ndjson lifecycle events', 'text')
+    .option('--log-file <path>', 'Append --log-format ndjson events to this file instead of stdout')
     .action(async (options) => {
         // Parse numeric options
         const parsedOptions = {
@@ -156,9 +580,10 @@ program
             port: parseInt(options.port)
         };
 
-        const dumper = new MongoDumper(parsedOptions);
-
+        let output = null;
         try {
+            output = await createOutput('list', options);
+            const dumper = new MongoDumper(parsedOptions);
             const collections = await dumper.listCollections();
             
             console.log(`\nCollections in database '${options.database}':`);
@@ -173,10 +598,55 @@ program
             
             console.log('─'.repeat(50));
             console.log(`Total: ${collections.length} collections\n`);
-            
+
+            await output.completed({ database: options.database, collections });
             process.exit(0);
         } catch (error) {
             console.error('\n✗ List failed:', error.message);
+            if (output) await output.failed(error);
+            process.exit(1);
+        }
+    });
+
+// Tail command
+program
+    .command('tail')
+    .description('Capture change stream events into rotating segment files for point-in-time restore')
+    .option('-u, --uri <uri>', 'MongoDB connection URI (must be a replica set or sharded cluster)', 'mongodb://localhost:27017')
+    .option('-h, --host <host>', 'MongoDB host', 'localhost')
+    .option('-p, --port <port>', 'MongoDB port', '27017')
+    .option('--username <username>', 'MongoDB username')
+    .option('--password <password>', 'MongoDB password')
+    .option('--authentication-database <db>', 'Authentication database')
+    .option('-d, --database <name>', 'Database name', 'test')
+    .option('-c, --collection <name>', 'Collection name (if not specified, captures the whole database)')
+    .option('-o, --output-dir <dir>', 'Backup directory to write change segments into', './dump-backup')
+    .option('--segment-events <count>', 'Start a new segment after this many events', '100000')
+    .option('--segment-minutes <minutes>', 'Start a new segment after this many minutes', '60')
+    .action(async (options) => {
+        const parsedOptions = {
+            ...options,
+            port: parseInt(options.port),
+            segmentEvents: parseInt(options.segmentEvents),
+            segmentMinutes: parseFloat(options.segmentMinutes)
+        };
+
+        try {
+            const tailer = new MongoTailer(parsedOptions);
+
+            // Finish the open segment and save the resume token instead of exiting mid-write
+            for (const signal of ['SIGINT', 'SIGTERM']) {
+                process.removeAllListeners(signal);
+                process.on(signal, () => {
+                    console.log(`\n\nReceived ${signal}. Closing current segment...`);
+                    tailer.stop();
+                });
+            }
+
+            await tailer.run();
+            process.exit(0);
+        } catch (error) {
+            console.error('\n✗ Tail failed:', error.message);
             process.exit(1);
         }
     });
@@ -192,13 +662,28 @@ program
     .option('--password <password>', 'MongoDB password')
     .option('--authentication-database <db>', 'Authentication database')
     .option('-d, --database <name>', 'Database name', 'test')
-    .option('-c, --collection <name>', 'Collection name')
+    .option('-c, --collection <names>', 'Collection name, or several comma-separated')
     .option('--all-collections', 'Restore all collections found in dump directory')
+    .option('--include <pattern>', 'Only restore collections matching this glob (repeatable)', collectList, [])
+    .option('--exclude <pattern>', 'Skip collections matching this glob (repeatable)', collectList, [])
     .option('--target-database <name>', 'Target database name (if different from source)')
     .option('-i, --input-dir <dir>', 'Input directory containing dump chunks', './dump-backup')
-    .option('-m, --months <months>', 'Specific months to restore (comma-separated, e.g., "2024-01,2024-03")')
+    .option('--periods <periods>', 'Specific periods to restore (comma-separated, e.g., "2024-01,2024-03" or "2024-W05")')
+    .option('-m, --months <months>', 'Alias for --periods')
+    .option('--split-by <unit>', 'Only restore chunks split with this granularity (day|week|month|quarter|year)')
+    .option('-b, --batch-size <size>', 'Documents per insertMany batch (native engine)', '25000')
+    .option('--engine <engine>', 'Restore engine: native driver or external mongorestore (native|mongorestore)', 'native')
+    .option('--parallel <n>', 'Chunks to restore at once, across periods and collections', '1')
+    .option('--on-error <policy>', 'After a failed chunk or collection: continue with the rest, or fail-fast', 'continue')
+    .option('--fail-fast', 'Stop at the first failed chunk or collection (same as --on-error fail-fast)')
+    .option('--until <timestamp>', 'After the chunks, replay changes captured by tail up to this time (ISO 8601)')
+    .option('--allow-replay-gap', 'Replay even if the capture started after the base dump or --until is older than it')
+    .option('--redact <rules-file>', 'Drop, hash, fake, truncate or null fields before inserting (native engine)')
     .option('--drop', 'Drop collection before restore')
     .option('--skip-index-restoration', 'Skip automatic index restoration (default: false)')
+    .option('--output <format>', 'Result format: text, or json (the result object on stdout)', 'text')
+    .option('--log-format <format>', 'Progress format: text, or ndjson lifecycle events', 'text')
+    .option('--log-file <path>', 'Append --log-format ndjson events to this file instead of stdout')
     .action(async (options) => {
         // Validate mutually exclusive options
         if (options.allCollections && options.collection) {
@@ -206,53 +691,68 @@ program
             process.exit(1);
         }
         
-        if (!options.collection && !options.allCollections) {
-            console.error('Error: Must specify either --collection or --all-collections');
+        const selection = parseCollectionOptions(options);
+        if (!options.collection && !options.allCollections && selection.include.length === 0) {
+            console.error('Error: Must specify --collection, --include or --all-collections');
             process.exit(1);
         }
 
-        // Parse months if provided
-        const months = options.months ? options.months.split(',').map(m => m.trim()) : null;
+        // Parse periods if provided
+        const periodList = options.periods || options.months;
+        const periods = periodList ? periodList.split(',').map(p => p.trim()) : null;
+
+        if (options.until && periods) {
+            console.error('Error: --until replays changes on top of a full restore and cannot be combined with --periods');
+            process.exit(1);
+        }
 
         // Parse numeric options
         const parsedOptions = {
             ...options,
+            ...selection,
             port: parseInt(options.port),
+            batchSize: parseInt(options.batchSize),
+            parallel: options.parallel,
+            errorPolicy: errorPolicyOption(options),
             skipIndexRestoration: options.skipIndexRestoration || false,
             targetDatabase: options.targetDatabase,
             allCollections: options.allCollections || false
         };
 
-        const restorer = new MongoRestorer(parsedOptions);
-
+        let output = null;
         try {
-            if (options.allCollections) {
-                await restorer.restoreAllCollections(months);
-                console.log('\n✓ All collections restore completed!');
-            } else if (months) {
-                await restorer.restoreSpecificChunks(months);
-                console.log(`\n✓ Selective restore completed for months: ${months.join(', ')}!`);
+            output = await createOutput('restore', options);
+            const restorer = new MongoRestorer({ ...parsedOptions, reporter: output.reporter, signal: cancellation.signal });
+            cancellableRun = true;
+
+            let result;
+            let exitCode;
+            if (options.allCollections || !selection.collection) {
+                result = await restorer.restoreAllCollections(periods);
+                exitCode = finishRun('Restore', result, `\n✓ ${options.allCollections ? 'All' : 'Selected'} collections restore completed!`);
+            } else if (periods) {
+                result = await restorer.restoreSpecificChunks(periods);
+                exitCode = finishRun('Restore', result, `\n✓ Selective restore completed for periods: ${periods.join(', ')}!`);
             } else {
-                await restorer.run();
-                console.log('\n✓ Restore completed!');
+                result = await restorer.run();
+                exitCode = finishRun('Restore', result, '\n✓ Restore completed!');
             }
-            process.exit(0);
+            await output.completed(result);
+            process.exit(exitCode);
         } catch (error) {
-            console.error('\n✗ Restore failed:', error.message);
-            process.exit(1);
+            if (error.cancelled) {
+                console.error('\n✗ Restore cancelled; rerun the same command to resume');
+            } else {
+                console.error('\n✗ Restore failed:', error.message);
+            }
+            if (output) await output.failed(error);
+            process.exit(error.cancelled ? EXIT_CODES.cancelled : EXIT_CODES.failure);
         }
     });
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n\nReceived SIGINT. Graceful shutdown...');
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    console.log('\n\nReceived SIGTERM. Graceful shutdown...');
-    process.exit(0);
-});
+process.on('SIGINT', () => handleSignal('SIGINT'));
+process.on('SIGTERM', () => handleSignal('SIGTERM'));
 
 if (require.main === module) {
     program.parse();
@@ -1,4 +1,7 @@
 const { MongoDumper } = require('./lib/mongo-dumper');
 const { MongoRestorer } = require('./lib/mongo-restorer');
+const { MongoVerifier } = require('./lib/mongo-verifier');
+const { MongoArchiver } = require('./lib/mongo-archiver');
+const { MongoTailer } = require('./lib/mongo-tailer');
 
-module.exports = { MongoDumper, MongoRestorer };
\ No newline at end of file
+module.exports = { MongoDumper, MongoRestorer, MongoVerifier, MongoArchiver, MongoTailer };
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Cancellation through an AbortSignal. Work stops at the next document, chunk or
+// collection boundary and rejects with an error marked `cancelled`; chunks that
+// finished before that stay recorded, so a rerun resumes after them.
+function cancelledError() {
+    const error = new Error('Cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw cancelledError();
+    }
+}
+
+// Yield documents until the signal fires. Checked again once the source ends, since
+// a source cut short by cancellation must not be written as a complete chunk
+async function* cancellableStream(source, signal) {
+    for await (const doc of source) {
+        throwIfCancelled(signal);
+        yield doc;
+    }
+    throwIfCancelled(signal);
+}
+
+// Stop a child process when the signal fires; returns a function that detaches the listener
+function killOnAbort(child, signal) {
+    if (!signal) return () => {};
+
+    const onAbort = () => child.kill('SIGTERM');
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+module.exports = { cancelledError, throwIfCancelled, cancellableStream, killOnAbort };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BSON } = require('mongodb');
+const { readChunk } = require('./chunk-io');
+const { withFileLock, readJsonFile, writeJsonFile } = require('./json-file');
+
+// Change events captured by `tail` live under <outputDir>/changes/<db> (database-wide
+// capture) or <outputDir>/changes/<db>.<collection>, one gzipped JSONL file per segment
+// plus changes.json listing the completed segments and the resume token after the last one
+
+const CHANGES_DIRNAME = 'changes';
+const CHANGE_LOG_FILENAME = 'changes.json';
+const CHANGE_LOG_VERSION = 1;
+
+function changeLogDir(outputDir, database, collection) {
+    return path.join(outputDir, CHANGES_DIRNAME, collection ? `${database}.${collection}` : database);
+}
+
+function segmentFilename(sequence) {
+    return `segment-${String(sequence).padStart(6, '0')}.jsonl.gz`;
+}
+
+// When the event happened: wallTime (MongoDB 6.0+) has millisecond precision,
+// clusterTime only whole seconds
+function eventTime(event) {
+    if (event.wallTime) {
+        return new Date(event.wallTime);
+    }
+    return new Date(event.clusterTime.getHighBits() * 1000);
+}
+
+class ChangeLog {
+    constructor(dir) {
+        this.dir = dir;
+        this.filePath = path.join(dir, CHANGE_LOG_FILENAME);
+    }
+
+    async read() {
+        const data = await readJsonFile(this.filePath);
+        if (data && data.version !== CHANGE_LOG_VERSION) {
+            throw new Error(`Unsupported change log version ${data.version} in ${this.filePath}`);
+        }
+        return data;
+    }
+
+    async getResumeToken() {
+        const data = await this.read();
+        return data && data.resumeToken ? BSON.EJSON.deserialize(data.resumeToken) : null;
+    }
+
+    // Record a completed segment together with the token to resume after it, so the
+    // token on disk never points past events that aren't in a finished segment
+    async recordSegment(header, segment, resumeToken) {
+        await withFileLock(this.filePath, async () => {
+            const data = (await this.read()) || {
+                version: CHANGE_LOG_VERSION,
+                ...header,
+                createdAt: new Date().toISOString(),
+                segments: []
+            };
+
+            data.segments.push(segment);
+            data.resumeToken = BSON.EJSON.serialize(resumeToken);
+            data.updatedAt = new Date().toISOString();
+
+            await writeJsonFile(this.filePath, data);
+        });
+    }
+
+    // Segments still being written when a previous tail stopped abruptly; their
+    // events are delivered again after the saved resume token
+    async removePartialSegments() {
+        const files = await fs.readdir(this.dir).catch(() => []);
+        const partials = files.filter(file => file.endsWith('.partial'));
+        for (const file of partials) {
+            await fs.unlink(path.join(this.dir, file));
+        }
+        return partials.length;
+    }
+
+    async *readEvents() {
+        const data = await this.read();
+        if (!data) return;
+
+        for (const segment of data.segments) {
+            const filePath = path.join(this.dir, segment.file);
+            yield* readChunk(filePath, { format: 'json', compressed: true });
+        }
+    }
+}
+
+module.exports = {
+    ChangeLog,
+    CHANGES_DIRNAME,
+    changeLogDir,
+    eventTime,
+    segmentFilename
+};
\ No newline at end of file
@@ -0,0 +1,170 @@
+const { BSON } = require('mongodb');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { createGzip, createGunzip } = require('zlib');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+const { promisify } = require('util');
+const { CHUNK_KEY_PATTERN } = require('./periods');
+
+const pipelineAsync = promisify(pipeline);
+
+const FORMATS = ['json', 'bson'];
+
+function chunkExtension(format, compress) {
+    return `${format === 'bson' ? '.bson' : '.jsonl'}${compress ? '.gz' : ''}`;
+}
+
+function chunkFilename(database, collection, key, format, compress) {
+    return `${database}_${collection}_${key}${chunkExtension(format, compress)}`;
+}
+
+// Serialize one document per line (canonical Extended JSON keeps Int64, Decimal128 etc. intact)
+// or as raw BSON, the same framing mongodump uses for .bson files
+function serializeDocument(doc, format) {
+    if (format === 'bson') {
+        return BSON.serialize(doc);
+    }
+    return BSON.EJSON.stringify(doc, { relaxed: false }) + '\n';
+}
+
+async function writeChunk(cursor, filePath, { format = 'json', compress = true } = {}) {
+    // Write to a temporary file first so an interrupted dump never leaves a
+    // truncated chunk that looks complete
+    const tempPath = `${filePath}.partial`;
+    let documents = 0;
+
+    async function* serialize() {
+        for await (const doc of cursor) {
+            documents++;
+            yield serializeDocument(doc, format);
+        }
+    }
+
+    const stages = [Readable.from(serialize())];
+    if (compress) {
+        stages.push(createGzip());
+    }
+    stages.push(createWriteStream(tempPath));
+
+    try {
+        await pipelineAsync(...stages);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+
+    const stats = await fs.stat(filePath);
+    return { documents, bytes: stats.size };
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse `<db>_<coll>_<chunk key>.(jsonl|bson)(.gz)`; returns null for anything else
+function parseChunkFilename(filename, database) {
+    const pattern = new RegExp(`^${escapeRegExp(database)}_(.+)_(${CHUNK_KEY_PATTERN})\\.(jsonl|bson)(\\.gz)?$`);
+    const match = filename.match(pattern);
+    if (!match) {
+        return null;
+    }
+    return {
+        collection: match[1],
+        key: match[2],
+        format: match[3] === 'bson' ? 'bson' : 'json',
+        compressed: Boolean(match[4])
+    };
+}
+
+async function* readJsonlDocuments(stream) {
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of rl) {
+        lineNumber++;
+        if (line.trim() === '') continue;
+
+        try {
+            yield BSON.EJSON.parse(line, { relaxed: false });
+        } catch (error) {
+            throw new Error(`Invalid Extended JSON on line ${lineNumber}: ${error.message}`);
+        }
+    }
+}
+
+async function* readBsonDocuments(stream) {
+    let buffer = Buffer.alloc(0);
+
+    for await (const data of stream) {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, data]) : data;
+        let offset = 0;
+
+        // Each BSON document starts with its own int32 little-endian length
+        while (buffer.length - offset >= 4) {
+            const size = buffer.readInt32LE(offset);
+            if (size < 5) {
+                throw new Error(`Corrupt BSON data: invalid document size ${size}`);
+            }
+            if (buffer.length - offset < size) break;
+
+            yield BSON.deserialize(buffer.subarray(offset, offset + size), { promoteValues: false });
+            offset += size;
+        }
+
+        buffer = buffer.subarray(offset);
+    }
+
+    if (buffer.length > 0) {
+        throw new Error(`Truncated BSON data: ${buffer.length} trailing bytes`);
+    }
+}
+
+// Stream documents out of a chunk file, decompressing on the fly
+async function* readChunk(filePath, { format = 'json', compressed = false } = {}) {
+    let stream = createReadStream(filePath);
+    if (compressed) {
+        // pipeline() forwards read errors so the consumer's iteration rejects
+        stream = pipeline(stream, createGunzip(), () => {});
+    }
+
+    try {
+        if (format === 'bson') {
+            yield* readBsonDocuments(stream);
+        } else {
+            yield* readJsonlDocuments(stream);
+        }
+    } finally {
+        stream.destroy();
+    }
+}
+
+// Order-independent digest of a set of documents: the XOR of each document's SHA-256
+// over its BSON bytes. A chunk file and a live range read with promoteValues: false
+// match only when they hold the same documents with the same values
+async function digestDocuments(docs) {
+    const digest = Buffer.alloc(32);
+    let documents = 0;
+    for await (const doc of docs) {
+        const hash = crypto.createHash('sha256').update(BSON.serialize(doc)).digest();
+        for (let i = 0; i < digest.length; i++) {
+            digest[i] ^= hash[i];
+        }
+        documents++;
+    }
+    return { documents, digest: digest.toString('hex') };
+}
+
+module.exports = {
+    FORMATS,
+    escapeRegExp,
+    chunkExtension,
+    chunkFilename,
+    parseChunkFilename,
+    serializeDocument,
+    writeChunk,
+    readChunk,
+    digestDocuments
+};
\ No newline at end of file
@@ -0,0 +1,31 @@
+const { escapeRegExp } = require('./chunk-io');
+
+// Shell-style glob on a whole collection name: * matches any run of characters
+// (dots included, so 'system.*' matches 'system.views'), ? matches one
+function globToRegExp(pattern) {
+    const source = pattern.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return escapeRegExp(char);
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+function hasCollectionFilter({ collections = [], include = [], exclude = [] } = {}) {
+    return collections.length > 0 || include.length > 0 || exclude.length > 0;
+}
+
+// A collection is selected when it is listed explicitly or matches an include pattern
+// (everything is selected when neither is given), and no exclude pattern matches it
+function createCollectionFilter({ collections = [], include = [], exclude = [] } = {}) {
+    const includes = include.map(globToRegExp);
+    const excludes = exclude.map(globToRegExp);
+    const selectAll = collections.length === 0 && includes.length === 0;
+
+    return (name) => {
+        const selected = selectAll || collections.includes(name) || includes.some(pattern => pattern.test(name));
+        return selected && !excludes.some(pattern => pattern.test(name));
+    };
+}
+
+module.exports = { globToRegExp, hasCollectionFilter, createCollectionFilter };
\ No newline at end of file
@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+// Looked up in the working directory when --config isn't given
+const CONFIG_FILENAMES = [
+    'mongo-backup.config.json',
+    'mongo-backup.config.js',
+    'mongo-backup.config.yaml',
+    'mongo-backup.config.yml'
+];
+
+// Every command name can appear as a section of defaults or of a profile
+const COMMAND_SECTIONS = ['dump', 'restore', 'list', 'clean', 'verify', 'archive', 'prune', 'tail'];
+
+async function findConfigFile(dir = process.cwd()) {
+    for (const filename of CONFIG_FILENAMES) {
+        const filePath = path.join(dir, filename);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (stats && stats.isFile()) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+async function loadConfigFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const extension = path.extname(absolutePath);
+
+    try {
+        if (extension === '.js') {
+            // A .js config may compute values or export a promise
+            return await require(absolutePath);
+        }
+
+        const raw = await fs.readFile(absolutePath, 'utf8');
+        return extension === '.yaml' || extension === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Failed to load config ${filePath}: ${error.message}`);
+    }
+}
+
+// Replace ${VAR} and ${VAR:-fallback} in every string, so secrets can stay in the environment
+function interpolateEnv(value, env = process.env, location = 'config') {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (env[name] !== undefined) return env[name];
+            if (fallback !== undefined) return fallback;
+            throw new Error(`Environment variable ${name} is not set (used in ${location})`);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolateEnv(item, env, `${location}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env, `${location}.${key}`)])
+        );
+    }
+    return value;
+}
+
+// Shared settings plus the section for this command, without the other commands' sections
+function flattenSection(section, command) {
+    if (!section) return {};
+
+    const options = {};
+    for (const [key, value] of Object.entries(section)) {
+        if (!COMMAND_SECTIONS.includes(key)) {
+            options[key] = value;
+        }
+    }
+    return { ...options, ...(section[command] || {}) };
+}
+
+// Options for one command: defaults, then the profile, each followed by its command section
+function resolveProfile(config, { profile, command, env = process.env } = {}) {
+    const profileName = profile || config.defaultProfile || null;
+    const profiles = config.profiles || {};
+
+    if (profileName && !profiles[profileName]) {
+        const available = Object.keys(profiles);
+        throw new Error(`Unknown profile '${profileName}'${available.length > 0 ? `. Available: ${available.join(', ')}` : ''}`);
+    }
+
+    const options = {
+        ...flattenSection(config.defaults, command),
+        ...flattenSection(profileName ? profiles[profileName] : null, command)
+    };
+
+    return {
+        profile: profileName,
+        options: interpolateEnv(options, env, profileName ? `profile '${profileName}'` : 'defaults')
+    };
+}
+
+module.exports = {
+    CONFIG_FILENAMES,
+    findConfigFile,
+    loadConfigFile,
+    interpolateEnv,
+    resolveProfile
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+const { ObjectId } = require('mongodb');
+
+// How values in the split field are read as instants. Each enabled type adds
+// its own range condition, because MongoDB only compares values of one type
+// ($gte a Date never matches a string or a number).
+const DATE_VALUE_TYPES = ['date', 'string', 'epoch-millis', 'objectid'];
+
+function assertDateValueTypes(types) {
+    if (!Array.isArray(types) || types.length === 0) {
+        throw new Error(`Expected at least one date value type: ${DATE_VALUE_TYPES.join(', ')}`);
+    }
+    for (const type of types) {
+        if (!DATE_VALUE_TYPES.includes(type)) {
+            throw new Error(`Invalid date value type '${type}'. Expected one of: ${DATE_VALUE_TYPES.join(', ')}`);
+        }
+    }
+}
+
+// ISO 8601 strings in UTC sort like the instants they name. Midnight bounds drop
+// the time so date-only strings ('2024-03-01') land in the same period.
+function isoBound(date) {
+    const iso = date.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+function rangeCondition(type, start, end) {
+    switch (type) {
+        case 'date':
+            return { $gte: start, $lt: end };
+        case 'string':
+            return { $gte: isoBound(start), $lt: isoBound(end) };
+        case 'epoch-millis':
+            return { $gte: start.getTime(), $lt: end.getTime() };
+        case 'objectid':
+            return {
+                $gte: ObjectId.createFromTime(Math.floor(start.getTime() / 1000)),
+                $lt: ObjectId.createFromTime(Math.floor(end.getTime() / 1000))
+            };
+        default:
+            assertDateValueTypes([type]);
+    }
+}
+
+// Values of a type worth looking at when finding the overall date range
+function typeCondition(type) {
+    switch (type) {
+        case 'date':
+            return { $type: 'date' };
+        case 'string':
+            return { $type: 'string', $regex: /^\d{4}-\d{2}-\d{2}/ };
+        case 'epoch-millis':
+            return { $type: 'number' };
+        case 'objectid':
+            return { $type: 'objectId' };
+        default:
+            assertDateValueTypes([type]);
+    }
+}
+
+// Returns null for values that don't name a valid instant
+function valueToDate(type, value) {
+    let date;
+    switch (type) {
+        case 'date':
+        case 'string':
+            date = new Date(value);
+            break;
+        case 'epoch-millis':
+            date = new Date(Number(value));
+            break;
+        case 'objectid':
+            date = value.getTimestamp();
+            break;
+        default:
+            assertDateValueTypes([type]);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Value of a dotted field path (meta.updatedAt) in a document read from the database
+function fieldValue(doc, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+module.exports = {
+    DATE_VALUE_TYPES,
+    fieldValue,
+    assertDateValueTypes,
+    rangeCondition,
+    typeCondition,
+    valueToDate
+};
\ No newline at end of file
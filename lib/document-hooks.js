@@ -0,0 +1,48 @@
+// User-supplied filter(doc, ctx) and transform(doc, ctx) functions, sync or async.
+// filter keeps a document when it returns a truthy value. transform returns the
+// document to write, an array to write several, or null/undefined to drop it.
+// Documents are as stored: numbers are BSON Int32/Double/Long/Decimal128 objects, not
+// JS numbers, so their types survive the round trip.
+const HOOK_NAMES = ['filter', 'transform'];
+
+function assertHooks(options) {
+    for (const name of HOOK_NAMES) {
+        if (options[name] !== undefined && options[name] !== null && typeof options[name] !== 'function') {
+            throw new Error(`Option '${name}' must be a function (doc, ctx)`);
+        }
+    }
+}
+
+function hasHooks(options) {
+    return HOOK_NAMES.some(name => typeof options[name] === 'function');
+}
+
+// Run one document through the hooks. Returns the documents to write (none when
+// dropped) and the ctx the hooks saw; each document gets its own copy of ctx, so
+// a hook may change fields on it.
+async function applyHooks(doc, { filter, transform }, baseCtx) {
+    const ctx = { ...baseCtx };
+
+    if (filter && !(await filter(doc, ctx))) {
+        return { documents: [], ctx };
+    }
+    if (!transform) {
+        return { documents: [doc], ctx };
+    }
+
+    const result = await transform(doc, ctx);
+    if (result === null || result === undefined) {
+        return { documents: [], ctx };
+    }
+    return { documents: Array.isArray(result) ? result : [result], ctx };
+}
+
+// Yield documents from any async iterable after the hooks
+async function* hookStream(source, hooks, baseCtx) {
+    for await (const doc of source) {
+        const { documents } = await applyHooks(doc, hooks, baseCtx);
+        yield* documents;
+    }
+}
+
+module.exports = { HOOK_NAMES, assertHooks, hasHooks, applyHooks, hookStream };
\ No newline at end of file
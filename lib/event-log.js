@@ -0,0 +1,113 @@
+const fs = require('fs');
+
+const LOG_FORMATS = ['text', 'ndjson'];
+const OUTPUT_FORMATS = ['text', 'json'];
+
+function assertFormat(value, formats, flag) {
+    if (!formats.includes(value)) {
+        throw new Error(`Invalid ${flag} '${value}'. Expected one of: ${formats.join(', ')}`);
+    }
+}
+
+// Structured lifecycle events, one JSON object per line: chunk.started, chunk.completed,
+// collection.failed, run.summary, ... Every event carries its type and an ISO time.
+class NdjsonReporter {
+    constructor(stream) {
+        this.stream = stream;
+        this.error = null;
+        // A log file that stops accepting writes (disk full, removed mount) must not
+        // crash the run; the failure is reported once and later events are dropped
+        if (typeof stream.on === 'function') {
+            stream.on('error', error => {
+                if (!this.error) {
+                    console.error(`⚠ Event log write failed, no further events are logged: ${error.message}`);
+                }
+                this.error = error;
+            });
+        }
+    }
+
+    event(type, data = {}) {
+        if (this.error) return;
+        this.stream.write(`${JSON.stringify({ type, time: new Date().toISOString(), ...data })}\n`);
+    }
+
+    // Resolves once everything written so far is flushed
+    async close() {
+        if (this.error) return;
+        await new Promise(resolve => (this.stream.end ? this.stream.end(resolve) : this.stream.write('', resolve)));
+    }
+}
+
+// Errors in events and results are reduced to their message
+function errorMessage(error) {
+    return error instanceof Error ? error.message : String(error);
+}
+
+// Reporter for --log-format: null for plain text, otherwise ndjson to the log file
+// (appended) or through `write`, which defaults to stdout. Rejects when the log file
+// cannot be opened, before the run starts
+async function createReporter({ logFormat = 'text', logFile = null, write = null } = {}) {
+    assertFormat(logFormat, LOG_FORMATS, 'log format');
+    if (logFormat === 'text') {
+        return null;
+    }
+    if (!logFile) {
+        return new NdjsonReporter({ write: write || process.stdout.write.bind(process.stdout) });
+    }
+
+    const stream = fs.createWriteStream(logFile, { flags: 'a' });
+    try {
+        await new Promise((resolve, reject) => {
+            stream.once('open', resolve);
+            stream.once('error', reject);
+        });
+    } catch (error) {
+        throw new Error(`Cannot open log file ${logFile}: ${error.message}`);
+    }
+    return new NdjsonReporter(stream);
+}
+
+// Human-readable output goes through a console-like logger: log, warn and error,
+// plus write for progress lines redrawn in place with \r
+const CONSOLE_LOGGER = {
+    log: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args),
+    write: text => process.stdout.write(text)
+};
+
+const SILENT_LOGGER = {
+    log: () => {},
+    warn: () => {},
+    error: () => {},
+    write: () => {}
+};
+
+// A supplied logger needs only log; warn and error fall back to it, and in-place
+// progress lines are dropped unless it has write
+function createLogger({ logger = null, silent = false } = {}) {
+    if (silent) return SILENT_LOGGER;
+    if (!logger) return CONSOLE_LOGGER;
+    if (typeof logger.log !== 'function') {
+        throw new Error(`Option 'logger' must have a log(...args) method`);
+    }
+
+    const method = name => (typeof logger[name] === 'function' ? logger[name].bind(logger) : logger.log.bind(logger));
+    return {
+        log: logger.log.bind(logger),
+        warn: method('warn'),
+        error: method('error'),
+        write: typeof logger.write === 'function' ? logger.write.bind(logger) : () => {}
+    };
+}
+
+module.exports = {
+    LOG_FORMATS,
+    OUTPUT_FORMATS,
+    assertFormat,
+    NdjsonReporter,
+    createReporter,
+    createLogger,
+    errorMessage
+};
\ No newline at end of file
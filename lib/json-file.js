@@ -0,0 +1,44 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// One queue per file so read-modify-write cycles from several dumper/restorer
+// instances in the same process never clobber each other
+const fileQueues = new Map();
+
+async function withFileLock(filePath, task) {
+    const key = path.resolve(filePath);
+    const previous = fileQueues.get(key) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(task);
+
+    fileQueues.set(key, next);
+    try {
+        return await next;
+    } finally {
+        if (fileQueues.get(key) === next) {
+            fileQueues.delete(key);
+        }
+    }
+}
+
+// Returns null when the file doesn't exist
+async function readJsonFile(filePath) {
+    let raw;
+    try {
+        raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    return JSON.parse(raw);
+}
+
+// Write through a temporary file so readers never see a half-written document
+async function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+module.exports = { withFileLock, readJsonFile, writeJsonFile };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const { withFileLock, readJsonFile, writeJsonFile } = require('./json-file');
+const { version: toolVersion, name: toolName } = require('../package.json');
+
+const MANIFEST_FILENAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Hide credentials before a connection string is written anywhere
+function redactUri(uri) {
+    if (!uri) return uri;
+    return uri
+        .replace(/(\/\/[^:@/]+):[^@/]*@/, '$1:***@')
+        .replace(/([?&](?:password|authMechanismProperties)=)[^&]*/gi, '$1***');
+}
+
+async function sha256File(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const data of createReadStream(filePath)) {
+        hash.update(data);
+    }
+    return hash.digest('hex');
+}
+
+function collectionKey(database, collection) {
+    return `${database}.${collection}`;
+}
+
+// manifest.json at the root of a backup directory: the durable record of which
+// chunks a backup holds, written as each chunk completes
+class Manifest {
+    constructor(dir) {
+        this.dir = dir;
+        this.filePath = path.join(dir, MANIFEST_FILENAME);
+    }
+
+    async read() {
+        let data;
+        try {
+            data = await readJsonFile(this.filePath);
+        } catch (error) {
+            throw new Error(`Corrupt manifest ${this.filePath}: ${error.message}`);
+        }
+        if (data && data.version !== MANIFEST_VERSION) {
+            throw new Error(`Unsupported manifest version ${data.version} in ${this.filePath}`);
+        }
+        return data;
+    }
+
+    async exists() {
+        return (await this.read()) !== null;
+    }
+
+    async update(mutator) {
+        return await withFileLock(this.filePath, async () => {
+            const now = new Date().toISOString();
+            const manifest = (await this.read()) || {
+                version: MANIFEST_VERSION,
+                tool: null,
+                createdAt: now,
+                updatedAt: now,
+                collections: {}
+            };
+
+            const result = await mutator(manifest);
+            manifest.tool = { name: toolName, version: toolVersion };
+            manifest.updatedAt = now;
+
+            await writeJsonFile(this.filePath, manifest);
+            return result;
+        });
+    }
+
+    async getCollection(database, collection) {
+        const manifest = await this.read();
+        return manifest ? manifest.collections[collectionKey(database, collection)] || null : null;
+    }
+
+    async listCollections(database) {
+        const manifest = await this.read();
+        if (!manifest) return [];
+        return Object.values(manifest.collections)
+            .filter(entry => entry.database === database)
+            .map(entry => entry.collection)
+            .sort();
+    }
+
+    // Upsert the collection header and one chunk (replacing a chunk with the same key)
+    async recordChunk(collectionInfo, chunk) {
+        await this.update(manifest => {
+            const key = collectionKey(collectionInfo.database, collectionInfo.collection);
+            const existing = manifest.collections[key] || {};
+            const chunks = (existing.chunks || []).filter(item => item.key !== chunk.key);
+            chunks.push(chunk);
+            chunks.sort((a, b) => a.key.localeCompare(b.key));
+
+            manifest.collections[key] = { ...existing, ...collectionInfo, chunks };
+        });
+    }
+
+    // Returns the deltas of the collection when its last chunk went, taking the entry
+    // with it; they only apply on top of those chunks, so the caller deletes their files
+    async removeChunks(database, collection, chunkKeys) {
+        const keys = new Set(chunkKeys);
+        let orphanedDeltas = [];
+        await this.update(manifest => {
+            const key = collectionKey(database, collection);
+            const entry = manifest.collections[key];
+            if (!entry) return;
+
+            entry.chunks = entry.chunks.filter(chunk => !keys.has(chunk.key));
+            if (entry.chunks.length === 0) {
+                orphanedDeltas = entry.deltas || [];
+                delete manifest.collections[key];
+            }
+        });
+        return orphanedDeltas;
+    }
+
+    async recordVerification(database, collection, chunkKey, verification) {
+        await this.update(manifest => {
+            const entry = manifest.collections[collectionKey(database, collection)];
+            const chunk = entry && [...entry.chunks, ...(entry.deltas || [])].find(item => item.key === chunkKey);
+            if (chunk) {
+                chunk.verification = verification;
+            }
+        });
+    }
+
+    // Absolute path of a chunk file recorded relative to the backup directory
+    resolveChunkPath(chunk) {
+        return path.join(this.dir, chunk.file);
+    }
+}
+
+module.exports = {
+    Manifest,
+    MANIFEST_FILENAME,
+    MANIFEST_VERSION,
+    redactUri,
+    sha256File
+};
\ No newline at end of file
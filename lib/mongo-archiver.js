@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const { BSON } = require('mongodb');
+const os = require('os');
+const path = require('path');
+const { digestDocuments } = require('./chunk-io');
+const { Manifest, redactUri, sha256File } = require('./manifest');
+const { MongoDumper } = require('./mongo-dumper');
+const { createLogger } = require('./event-log');
+const { addPeriods, periodStart } = require('./periods');
+
+const AUDIT_LOG_FILENAME = 'archive-audit.log';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Deletes source documents whose chunks are backed up and verified, so only
+// recent periods stay in the live collection
+class MongoArchiver {
+    constructor(options) {
+        this.options = options;
+        this.database = options.database;
+        this.collection = options.collection;
+        this.outputDir = options.outputDir || './dump-backup';
+        this.periods = options.periods || null;
+        this.before = options.before ? new Date(options.before) : null;
+        this.keepPeriods = options.keepPeriods || null;
+        this.batchSize = options.batchSize || 1000;
+        this.throttleMs = options.throttleMs !== undefined ? options.throttleMs : 100;
+        this.dryRun = options.dryRun || false;
+        this.confirmDelete = options.confirmDelete !== undefined ? options.confirmDelete : true;
+        // Console-like sink for the human-readable output; silent drops it
+        this.logger = createLogger({ logger: options.logger, silent: options.silent });
+        this.manifest = new Manifest(this.outputDir);
+        this.auditLogFile = path.join(this.outputDir, AUDIT_LOG_FILENAME);
+
+        if (this.before && isNaN(this.before.getTime())) {
+            throw new Error(`Invalid --before date '${options.before}'`);
+        }
+        if (!this.before && !this.keepPeriods && !this.periods) {
+            throw new Error('Specify which periods to archive with --before, --keep-periods or --periods');
+        }
+    }
+
+    // Chunks ending on or before this instant may be archived
+    getCutoff(splitBy) {
+        const cutoffs = [];
+        if (this.before) {
+            cutoffs.push(this.before);
+        }
+        if (this.keepPeriods) {
+            // Keep the current period plus the (keepPeriods - 1) before it
+            const currentStart = periodStart(new Date(), splitBy);
+            cutoffs.push(addPeriods(currentStart, splitBy, -(this.keepPeriods - 1)));
+        }
+        return cutoffs.length > 0 ? new Date(Math.min(...cutoffs)) : null;
+    }
+
+    selectChunks(entry) {
+        const cutoff = this.getCutoff(entry.splitBy);
+
+        return entry.chunks.filter(chunk => {
+            // The unbucketed chunk has no date range to fall before a cutoff, and chunks
+            // adopted from a pre-manifest backup never had one recorded
+            if (chunk.archivedAt || chunk.unbucketed || chunk.legacy) return false;
+            if (cutoff && new Date(chunk.end) > cutoff) return false;
+            if (this.periods && !this.periods.includes(chunk.period) && !this.periods.includes(chunk.key)) return false;
+            return true;
+        });
+    }
+
+    async appendAuditLog(record) {
+        await fs.appendFile(this.auditLogFile, JSON.stringify(record) + '\n');
+    }
+
+    async deleteInBatches(coll, filter) {
+        let deleted = 0;
+
+        while (true) {
+            const ids = await coll
+                .find(filter, { projection: { _id: 1 } })
+                .limit(this.batchSize)
+                .map(doc => doc._id)
+                .toArray();
+
+            if (ids.length === 0) break;
+
+            const result = await coll.deleteMany({ ...filter, _id: { $in: ids } });
+            deleted += result.deletedCount;
+            this.logger.write(`\r  Deleted ${deleted.toLocaleString()} documents`);
+
+            if (this.throttleMs > 0) {
+                await sleep(this.throttleMs);
+            }
+        }
+
+        if (deleted > 0) {
+            this.logger.log('');
+        }
+        return deleted;
+    }
+
+    // The verification record may predate a deleted or rewritten backup, so the file is
+    // checked against the manifest again; returns why it can't be trusted, or null
+    async checkBackupFile(chunk) {
+        const filePath = this.manifest.resolveChunkPath(chunk);
+        try {
+            const stats = await fs.stat(filePath);
+            if (stats.size !== chunk.bytes) {
+                return `backup file size ${stats.size} does not match manifest (${chunk.bytes})`;
+            }
+        } catch (error) {
+            return `backup file is missing (${filePath})`;
+        }
+        if (await sha256File(filePath) !== chunk.sha256) {
+            return 'backup file checksum does not match manifest';
+        }
+        return null;
+    }
+
+    async archiveChunk(dumper, entry, chunk, index, total) {
+        const verification = chunk.verification;
+        const label = `[${index + 1}/${total}] ${chunk.key}`;
+
+        if (!verification || verification.status !== 'passed') {
+            this.logger.log(`${label}: ⚠️  skipped, chunk has not passed verify`);
+            return { key: chunk.key, status: 'skipped', reason: 'not verified' };
+        }
+
+        const backupProblem = await this.checkBackupFile(chunk);
+        if (backupProblem) {
+            this.logger.log(`${label}: ⚠️  skipped, ${backupProblem}; run verify again`);
+            return { key: chunk.key, status: 'skipped', reason: 'backup changed' };
+        }
+
+        // Refuse if the source range no longer matches what was backed up
+        // (documents written into the range after the dump would be lost)
+        const range = dumper.rangeOfManifestChunk(chunk);
+        const liveDocuments = await dumper.getChunkDocumentCount(range);
+        if (liveDocuments !== verification.documents) {
+            this.logger.log(`${label}: ⚠️  skipped, source holds ${liveDocuments.toLocaleString()} documents but backup has ${verification.documents.toLocaleString()}`);
+            return { key: chunk.key, status: 'skipped', reason: 'count mismatch', liveDocuments };
+        }
+
+        // Same count is not enough: a document updated after the dump would be deleted
+        // while the backup holds its old version. Compare content with the digest verify
+        // took of the backup file, which checkBackupFile showed is unchanged since
+        if (!verification.digest) {
+            this.logger.log(`${label}: ⚠️  skipped, verified before content digests were recorded; run verify again`);
+            return { key: chunk.key, status: 'skipped', reason: 'no digest' };
+        }
+        const live = await digestDocuments(dumper.coll.find(dumper.getChunkFilter(range), { promoteValues: false }));
+        if (live.documents !== verification.documents || live.digest !== verification.digest) {
+            this.logger.log(`${label}: ⚠️  skipped, source documents in this range changed since the dump`);
+            return { key: chunk.key, status: 'skipped', reason: 'content mismatch', liveDocuments: live.documents };
+        }
+
+        if (this.dryRun) {
+            this.logger.log(`${label}: would delete ${liveDocuments.toLocaleString()} documents (${chunk.start} to ${chunk.end})`);
+            return { key: chunk.key, status: 'dry-run', documents: liveDocuments };
+        }
+
+        if (this.confirmDelete) {
+            const confirmed = await dumper.promptConfirmation(
+                `${label}: delete ${liveDocuments.toLocaleString()} documents from ${this.database}.${this.collection}? (y/N): `
+            );
+            if (!confirmed) {
+                this.logger.log('  ❌ Skipped by user');
+                return { key: chunk.key, status: 'skipped', reason: 'not confirmed' };
+            }
+        }
+
+        this.logger.log(`${label}: deleting ${liveDocuments.toLocaleString()} documents...`);
+        const startedAt = new Date().toISOString();
+        // Same filter dumpMonth used to produce the chunk
+        const deleted = await this.deleteInBatches(dumper.coll, dumper.getChunkFilter(range));
+        const archivedAt = new Date().toISOString();
+
+        await this.appendAuditLog({
+            action: 'archive',
+            startedAt,
+            archivedAt,
+            user: os.userInfo().username,
+            host: os.hostname(),
+            source: redactUri(dumper.uri),
+            database: this.database,
+            collection: this.collection,
+            dateField: entry.dateField,
+            chunk: chunk.key,
+            start: chunk.start,
+            end: chunk.end,
+            backupFile: chunk.file,
+            sha256: chunk.sha256,
+            backupDocuments: verification.documents,
+            deletedDocuments: deleted
+        });
+        await this.manifest.update(manifest => {
+            const current = manifest.collections[`${this.database}.${this.collection}`];
+            const target = current && current.chunks.find(item => item.key === chunk.key);
+            if (target) {
+                target.archivedAt = archivedAt;
+                target.archivedDocuments = deleted;
+            }
+        });
+
+        this.logger.log(`  ✓ Archived ${chunk.key}: ${deleted.toLocaleString()} documents deleted from source`);
+        return { key: chunk.key, status: 'archived', documents: deleted };
+    }
+
+    async run() {
+        const entry = await this.manifest.getCollection(this.database, this.collection);
+        if (!entry) {
+            throw new Error(`Collection ${this.database}.${this.collection} is not in the manifest at ${this.manifest.filePath}`);
+        }
+
+        // Fields dropped by the projection exist only in the source
+        if (entry.projection) {
+            throw new Error(`${this.database}.${this.collection} was dumped with a projection; archiving would lose the excluded fields`);
+        }
+        if (entry.redaction) {
+            throw new Error(`${this.database}.${this.collection} was dumped with redaction rules; archiving would lose the original values`);
+        }
+        if (entry.transformed) {
+            throw new Error(`${this.database}.${this.collection} was dumped through filter/transform hooks; its chunks don't mirror the source`);
+        }
+
+        const chunks = this.selectChunks(entry);
+        if (chunks.length === 0) {
+            this.logger.log('ℹ️  No chunks eligible for archiving');
+            return { archived: [], skipped: [] };
+        }
+
+        this.logger.log(`${this.dryRun ? '🔍 DRY RUN - ' : ''}Archiving ${chunks.length} chunks of ${this.database}.${this.collection} (date field: ${entry.dateField})`);
+
+        // MongoDumper supplies the connection handling and the range count query
+        const dumper = new MongoDumper({
+            ...this.options,
+            collection: this.collection,
+            dateField: entry.dateField,
+            dateValues: entry.dateValues,
+            // Delete exactly the documents the backup selected
+            query: entry.query ? BSON.EJSON.deserialize(entry.query) : null
+        });
+        await dumper.connect();
+
+        const results = [];
+        try {
+            for (let i = 0; i < chunks.length; i++) {
+                results.push(await this.archiveChunk(dumper, entry, chunks[i], i, chunks.length));
+            }
+        } finally {
+            await dumper.disconnect();
+        }
+
+        const archived = results.filter(result => result.status === 'archived' || result.status === 'dry-run');
+        const skipped = results.filter(result => result.status === 'skipped');
+        const totalDocuments = archived.reduce((sum, result) => sum + result.documents, 0);
+
+        this.logger.log(`\n📋 Summary:`);
+        this.logger.log(`   ${this.dryRun ? 'Would archive' : 'Archived'}: ${archived.length} chunks, ${totalDocuments.toLocaleString()} documents`);
+        this.logger.log(`   Skipped: ${skipped.length} chunks`);
+        if (!this.dryRun && archived.length > 0) {
+            this.logger.log(`   Audit log: ${this.auditLogFile}`);
+        }
+
+        return { archived, skipped };
+    }
+}
+
+module.exports = { MongoArchiver };
\ No newline at end of file
@@ -1,24 +1,220 @@
-const { MongoClient } = require('mongodb');
+const EventEmitter = require('events');
+const { MongoClient, BSON, ObjectId } = require('mongodb');
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
 const { spawn } = require('child_process');
-
-class MongoDumper {
+const { FORMATS, chunkFilename, parseChunkFilename, writeChunk } = require('./chunk-io');
+const { UNBUCKETED_KEY, assertSplitUnit, generateRanges, isChunkKey, partKey, periodOfChunkKey } = require('./periods');
+const { assertDateValueTypes, fieldValue, rangeCondition, typeCondition, valueToDate } = require('./date-values');
+const { StateStore } = require('./state-store');
+const { Manifest, redactUri, sha256File } = require('./manifest');
+const { hasRetentionRules, selectRunsToKeep } = require('./retention');
+const { createCollectionFilter, hasCollectionFilter } = require('./collection-filter');
+const { Redactor, redactStream } = require('./redaction');
+const { assertHooks, hasHooks, hookStream } = require('./document-hooks');
+const { WorkerPool, assertErrorPolicy, failuresOf, parseConcurrency, runStatus } = require('./worker-pool');
+const { createLogger, errorMessage } = require('./event-log');
+const { cancelledError, throwIfCancelled, cancellableStream, killOnAbort } = require('./cancellation');
+
+const ENGINES = ['native', 'mongodump'];
+
+class MongoDumper extends EventEmitter {
     constructor(options) {
+        super();
         this.options = options;
         this.database = options.database;
         this.collection = options.collection;
-        this.dateField = options.dateField;
+        // Narrow dumpAllCollections and listCollections: explicit names plus include/exclude globs
+        this.collections = options.collections || [];
+        this.include = options.include || [];
+        this.exclude = options.exclude || [];
+        this.collectionFilter = createCollectionFilter(this);
+        // Collections without a timestamp can still be split by their ObjectIds' creation time
+        this.defaultDateField = options.splitByObjectId ? '_id' : options.dateField;
+        // Per-collection overrides of the date field, e.g. { orders: 'createdAt', events: 'ts' }
+        this.dateFields = options.dateFields || {};
+        this.autoDetectDateField = options.autoDetectDateField || false;
         this.outputDir = options.outputDir || './dump-backup';
         this.compress = options.compress !== undefined ? options.compress : true;
+        this.format = options.format || 'json';
+        this.splitBy = options.splitBy || 'month';
+        this.engine = options.engine || 'native';
+        this.batchSize = options.batchSize || 50000;
+        this.maxDocsPerChunk = options.maxDocsPerChunk || null;
+        this.incremental = options.incremental || false;
+        // Chunks (and collections) dumped at once, and whether a failure stops the rest
+        this.parallel = parseConcurrency(options.parallel);
+        this.errorPolicy = options.errorPolicy || 'continue';
+        assertErrorPolicy(this.errorPolicy);
+        // Shared with the per-collection dumpers of dumpAllCollections
+        this.pool = options.pool || new WorkerPool({ concurrency: this.parallel, errorPolicy: this.errorPolicy });
+        // Receives structured lifecycle events (see lib/event-log.js)
+        this.reporter = options.reporter || null;
+        // The same events are emitted by type and as 'event'; the per-collection dumpers
+        // of dumpAllCollections emit on the instance that created them
+        this.events = options.events || this;
+        if (options.onProgress) {
+            this.on('event', options.onProgress);
+        }
+        // Console-like sink for the human-readable output; silent drops it
+        this.logger = createLogger({ logger: options.logger, silent: options.silent });
+        // AbortSignal cancelling the run (see lib/cancellation.js)
+        this.signal = options.signal || null;
+        // Extra filter ANDed with every chunk's date range, and fields to keep or drop
+        this.query = options.query || null;
+        this.projection = options.projection || null;
+        // Redaction rules file (or a ready Redactor) applied to documents before they are written
+        this.redact = options.redact || null;
+        this.redactor = options.redactor || null;
+        // filter(doc, ctx) / transform(doc, ctx) hooks, run after redaction
+        this.filter = options.filter || null;
+        this.transform = options.transform || null;
+        this.useDateField(this.dateFields[this.collection] || this.defaultDateField);
         this.skipIndexExtraction = options.skipIndexExtraction || false;
         this.debugListeners = options.debugListeners || false;
         this.stateFile = path.join(this.outputDir, '.dump-state.json');
+        this.stateStore = new StateStore(this.stateFile, { itemsField: 'completedMonths' });
+        this.manifest = new Manifest(this.outputDir);
         this.client = null;
         this.db = null;
         this.coll = null;
         this.uri = null; // Will be built in buildConnectionUri()
+
+        if (!FORMATS.includes(this.format)) {
+            throw new Error(`Invalid format '${this.format}'. Expected one of: ${FORMATS.join(', ')}`);
+        }
+        assertSplitUnit(this.splitBy);
+        if (options.dateValues) {
+            assertDateValueTypes(options.dateValues);
+        }
+        if (!ENGINES.includes(this.engine)) {
+            throw new Error(`Invalid engine '${this.engine}'. Expected one of: ${ENGINES.join(', ')}`);
+        }
+        if (this.incremental && this.engine !== 'native') {
+            throw new Error('Incremental dumps require the native engine');
+        }
+        if (this.query && (typeof this.query !== 'object' || Array.isArray(this.query))) {
+            throw new Error('Query must be a document, e.g. {"tenantId": "acme"}');
+        }
+        if (this.projection && (typeof this.projection !== 'object' || Array.isArray(this.projection))) {
+            throw new Error('Projection must be a document, e.g. {"rawPayload": 0}');
+        }
+        if (this.projection && this.engine === 'mongodump') {
+            throw new Error('mongodump cannot apply a projection; use --engine native');
+        }
+        if ((this.redact || this.redactor) && this.engine === 'mongodump') {
+            throw new Error('mongodump cannot redact documents; use --engine native');
+        }
+        assertHooks(options);
+        if (hasHooks(this) && this.engine === 'mongodump') {
+            throw new Error('Document hooks need the native engine');
+        }
+    }
+
+    async loadRedactor() {
+        if (this.redact && !this.redactor) {
+            this.redactor = await Redactor.fromFile(this.redact);
+            this.logger.log(`✓ Loaded redaction rules from ${this.redact}`);
+        }
+        return this.redactor;
+    }
+
+    // Documents of a cursor with this collection's redaction rules applied
+    redactDocuments(cursor) {
+        const redact = this.redactor ? this.redactor.forCollection(this.collection) : null;
+        return redact ? redactStream(cursor, redact) : cursor;
+    }
+
+    // Documents written to a chunk file: redacted, then passed through the hooks.
+    // Cancellation fails the write, so the partial file is removed
+    chunkDocuments(cursor, chunkKey, delta = false) {
+        const documents = this.redactDocuments(cursor);
+        if (!hasHooks(this)) return cancellableStream(documents, this.signal);
+
+        return cancellableStream(hookStream(documents, this, {
+            database: this.database,
+            collection: this.collection,
+            chunkKey,
+            delta
+        }), this.signal);
+    }
+
+    getRedactionInfo() {
+        const rules = this.redactor ? this.redactor.describe(this.collection) : [];
+        return rules.length > 0 ? { rules } : null;
+    }
+
+    dateValuesFor(field) {
+        return this.options.dateValues || (field === '_id' ? ['objectid'] : ['date']);
+    }
+
+    // Switch the field chunks are split on; dumpAllCollections calls this per collection
+    useDateField(field) {
+        this.dateField = field;
+        this.dateValues = this.dateValuesFor(field);
+        this.watermarkField = this.options.watermarkField || field;
+    }
+
+    async hasDateValues(field) {
+        const sample = await this.coll.findOne({
+            $or: this.dateValuesFor(field).map(type => ({ [field]: typeCondition(type) }))
+        });
+        return sample !== null;
+    }
+
+    // Guess the date field by sampling documents: top-level Date fields that lead an
+    // index come first, then the most common one. Falls back to _id when it holds ObjectIds.
+    async detectDateField(sampleSize = 100) {
+        const docs = await this.coll.aggregate([{ $sample: { size: sampleSize } }]).toArray();
+        if (docs.length === 0) return null;
+
+        const counts = new Map();
+        for (const doc of docs) {
+            for (const [field, value] of Object.entries(doc)) {
+                if (value instanceof Date) {
+                    counts.set(field, (counts.get(field) || 0) + 1);
+                }
+            }
+        }
+
+        const indexes = await this.coll.indexes();
+        const indexed = new Set(indexes.map(index => Object.keys(index.key || {})[0]));
+        const candidates = Array.from(counts.entries()).sort((a, b) =>
+            (indexed.has(b[0]) - indexed.has(a[0])) || (b[1] - a[1])
+        );
+
+        if (candidates.length > 0) {
+            const [field, count] = candidates[0];
+            if (!indexed.has(field)) {
+                this.logger.log(`  ⚠ ${this.collection}: no indexed Date field found; '${field}' is the most common (${count}/${docs.length} sampled documents)`);
+            }
+            return field;
+        }
+
+        const objectIds = docs.filter(doc => doc._id instanceof ObjectId).length;
+        return objectIds > docs.length / 2 ? '_id' : null;
+    }
+
+    // Mapping first, then the default field when the collection has values in it,
+    // then auto-detection. Returns null when the collection has no usable field.
+    async chooseDateField() {
+        const mapped = this.dateFields[this.collection];
+        if (mapped) {
+            return (await this.hasDateValues(mapped)) ? { field: mapped, source: 'mapping' } : null;
+        }
+
+        if (this.defaultDateField && (await this.hasDateValues(this.defaultDateField))) {
+            return { field: this.defaultDateField, source: 'default' };
+        }
+
+        if (this.autoDetectDateField) {
+            const detected = await this.detectDateField();
+            if (detected) {
+                return { field: detected, source: 'detected' };
+            }
+        }
+        return null;
     }
 
     async promptPassword() {
@@ -33,7 +229,7 @@ class MongoDumper {
             rl.question('Enter password: ', (password) => {
                 rl.stdoutMuted = false;
                 rl.close();
-                console.log(); // Add newline after hidden input
+                this.logger.log(); // Add newline after hidden input
                 resolve(password);
             });
 
@@ -46,7 +242,12 @@ class MongoDumper {
         });
     }
 
+    // Built once per instance, so a prompted password is asked for only once
     async buildConnectionUri() {
+        if (this.uri) {
+            return;
+        }
+
         // If URI is provided directly, use it
         if (this.options.uri) {
             this.uri = this.options.uri;
@@ -85,23 +286,23 @@ class MongoDumper {
         }
 
         this.uri = uri;
-        console.log(`Using connection: mongodb://${username ? username + '@' : ''}${host}:${port}`);
+        this.logger.log(`Using connection: mongodb://${username ? username + '@' : ''}${host}:${port}`);
     }
 
     async connect() {
         await this.buildConnectionUri();
-        console.log('Connecting to MongoDB...');
+        this.logger.log('Connecting to MongoDB...');
         this.client = new MongoClient(this.uri);
         await this.client.connect();
         this.db = this.client.db(this.database);
         this.coll = this.db.collection(this.collection);
-        console.log('✓ Connected to MongoDB');
+        this.logger.log('✓ Connected to MongoDB');
     }
 
     async disconnect() {
         if (this.client) {
             await this.client.close();
-            console.log('✓ Disconnected from MongoDB');
+            this.logger.log('✓ Disconnected from MongoDB');
         }
     }
 
@@ -113,17 +314,60 @@ class MongoDumper {
         }
     }
 
+    getStateScope() {
+        return {
+            database: this.database,
+            collection: this.collection,
+            dateField: this.dateField,
+            splitBy: this.splitBy
+        };
+    }
+
+    async chunkOutputExists(monthKey) {
+        const candidates = [
+            path.join(this.outputDir, chunkFilename(this.database, this.collection, monthKey, this.format, this.compress)),
+            path.join(this.outputDir, monthKey, this.database, `${this.collection}.bson.gz`),
+            path.join(this.outputDir, monthKey, this.database, `${this.collection}.bson`)
+        ];
+
+        for (const candidate of candidates) {
+            const stats = await fs.stat(candidate).catch(() => null);
+            if (stats && stats.isFile() && stats.size > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     async loadState() {
-        try {
-            const stateData = await fs.readFile(this.stateFile, 'utf8');
-            return JSON.parse(stateData);
-        } catch (error) {
-            return { completedMonths: [], lastProcessed: null };
+        const scope = this.getStateScope();
+        const entry = await this.stateStore.findEntry(scope);
+        if (entry) {
+            return entry;
         }
+
+        // Old shared state files don't say which collection a month belongs to,
+        // so only adopt months whose output for this collection is actually on disk
+        const completedMonths = [];
+        const legacy = await this.stateStore.getLegacy();
+        if (legacy) {
+            for (const monthKey of legacy.completedMonths) {
+                if (await this.chunkOutputExists(monthKey)) {
+                    completedMonths.push(monthKey);
+                }
+            }
+            this.logger.log(`Migrated legacy state file: adopted ${completedMonths.length} of ${legacy.completedMonths.length} completed months for ${this.collection}`);
+        }
+
+        return { ...scope, completedMonths, chunkPlans: {}, lastProcessed: legacy ? legacy.lastProcessed : null };
     }
 
     async saveState(state) {
-        await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+        await this.stateStore.saveEntry(this.getStateScope(), {
+            completedMonths: state.completedMonths,
+            chunkPlans: state.chunkPlans || {},
+            lastProcessed: state.lastProcessed
+        });
     }
 
     async checkIndexExists(fieldName) {
@@ -135,7 +379,7 @@ class MongoDumper {
 
 
     async extractIndexes() {
-        console.log('Extracting collection indexes...');
+        this.logger.log('Extracting collection indexes...');
         
         try {
             const indexes = await this.coll.indexes();
@@ -169,28 +413,28 @@ class MongoDumper {
                 }, {})
             }));
 
-            console.log(`✓ Found ${customIndexes.length} custom indexes to preserve`);
+            this.logger.log(`✓ Found ${customIndexes.length} custom indexes to preserve`);
             
             if (customIndexes.length > 0) {
                 customIndexes.forEach(index => {
                     const keyStr = Object.keys(index.key).map(field => 
                         `${field}:${index.key[field]}`
                     ).join(', ');
-                    console.log(`  - ${index.name}: {${keyStr}}`);
+                    this.logger.log(`  - ${index.name}: {${keyStr}}`);
                 });
             }
 
             return indexData;
             
         } catch (error) {
-            console.warn(`⚠ Warning: Failed to extract indexes: ${error.message}`);
+            this.logger.warn(`⚠ Warning: Failed to extract indexes: ${error.message}`);
             return [];
         }
     }
 
     async saveIndexes(indexes) {
         if (indexes.length === 0) {
-            console.log('No custom indexes to save');
+            this.logger.log('No custom indexes to save');
             return;
         }
 
@@ -206,10 +450,10 @@ class MongoDumper {
             };
 
             await fs.writeFile(indexFilePath, JSON.stringify(indexData, null, 2));
-            console.log(`✓ Indexes saved to ${indexFilename}`);
+            this.logger.log(`✓ Indexes saved to ${indexFilename}`);
             
         } catch (error) {
-            console.warn(`⚠ Warning: Failed to save indexes: ${error.message}`);
+            this.logger.warn(`⚠ Warning: Failed to save indexes: ${error.message}`);
         }
     }
 
@@ -217,8 +461,14 @@ class MongoDumper {
         await this.connect();
         
         try {
-            const collections = await this.db.listCollections().toArray();
+            const allCollections = await this.db.listCollections().toArray();
+            const collections = allCollections.filter(collInfo => this.collectionFilter(collInfo.name));
             const results = [];
+
+            const missing = this.collections.filter(name => !allCollections.some(collInfo => collInfo.name === name));
+            if (missing.length > 0) {
+                this.logger.log(`⚠ Collections not found in ${this.database}: ${missing.join(', ')}`);
+            }
             
             for (const collInfo of collections) {
                 const collName = collInfo.name;
@@ -236,64 +486,373 @@ class MongoDumper {
         }
     }
 
+    // Min and max over every enabled value type. Sorting the raw field would put
+    // missing and null values first, so each type is queried on its own.
+    // Returns null when no document has a usable date.
     async getDateRange() {
-        console.log('Analyzing date range...');
-        
-        // Get min and max dates
-        const [minResult, maxResult] = await Promise.all([
-            this.coll.find({}).sort({ [this.dateField]: 1 }).limit(1).toArray(),
-            this.coll.find({}).sort({ [this.dateField]: -1 }).limit(1).toArray()
-        ]);
+        this.logger.log('Analyzing date range...');
+
+        if (!(await this.coll.findOne(this.applyQuery({}), { projection: { _id: 1 } }))) {
+            throw new Error(this.query ? 'No documents match the query' : 'Collection is empty');
+        }
+
+        const dates = [];
+        for (const type of this.dateValues) {
+            const filter = this.applyQuery({ [this.dateField]: typeCondition(type) });
+            const projection = { [this.dateField]: 1 };
+            const [minResult, maxResult] = await Promise.all([
+                this.coll.find(filter, { projection }).sort({ [this.dateField]: 1 }).limit(1).toArray(),
+                this.coll.find(filter, { projection }).sort({ [this.dateField]: -1 }).limit(1).toArray()
+            ]);
+
+            for (const result of [...minResult, ...maxResult]) {
+                const date = valueToDate(type, result[this.dateField]);
+                if (date) dates.push(date);
+            }
+        }
 
-        if (minResult.length === 0 || maxResult.length === 0) {
-            throw new Error('Collection is empty or date field not found');
+        if (dates.length === 0) {
+            this.logger.log(`⚠ No document has a ${this.dateValues.join('/')} value in '${this.dateField}'; everything goes to the ${UNBUCKETED_KEY} chunk`);
+            return null;
         }
 
-        const minDate = new Date(minResult[0][this.dateField]);
-        const maxDate = new Date(maxResult[0][this.dateField]);
+        const minDate = new Date(Math.min(...dates));
+        const maxDate = new Date(Math.max(...dates));
 
-        console.log(`✓ Date range: ${minDate.toISOString()} to ${maxDate.toISOString()}`);
+        this.logger.log(`✓ Date range: ${minDate.toISOString()} to ${maxDate.toISOString()}`);
         return { minDate, maxDate };
     }
 
-    generateMonthlyRanges(minDate, maxDate) {
-        const ranges = [];
-        let current = new Date(Date.UTC(minDate.getFullYear(), minDate.getMonth(), 1));
-        const end = new Date(Date.UTC(maxDate.getFullYear(), maxDate.getMonth() + 1, 1));
+    // Matches documents whose date field falls in [start, end) under any enabled value type
+    getRangeFilter(start, end) {
+        const conditions = this.dateValues.map(type => ({ [this.dateField]: rangeCondition(type, start, end) }));
+        return conditions.length === 1 ? conditions[0] : { $or: conditions };
+    }
 
-        while (current < end) {
-            const monthStart = new Date(current);
-            const monthEnd = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1));
-            
-            ranges.push({
-                start: monthStart,
-                end: monthEnd,
-                key: `${monthStart.getUTCFullYear()}-${String(monthStart.getUTCMonth() + 1).padStart(2, '0')}`
-            });
+    // Everything outside the span covered by the period chunks: missing, null,
+    // other types and values of types that aren't enabled
+    getUnbucketedFilter(start, end) {
+        return start ? { $nor: [this.getRangeFilter(start, end)] } : {};
+    }
 
-            current.setUTCMonth(current.getUTCMonth() + 1);
+    // The custom query narrows every chunk; it is kept out of getRangeFilter so the
+    // unbucketed chunk's $nor only negates the date range
+    applyQuery(filter) {
+        if (!this.query || Object.keys(this.query).length === 0) {
+            return filter;
         }
+        return Object.keys(filter).length === 0 ? this.query : { $and: [filter, this.query] };
+    }
 
-        return ranges;
+    getChunkFilter(range) {
+        return this.applyQuery(range.unbucketed
+            ? this.getUnbucketedFilter(range.start, range.end)
+            : this.getRangeFilter(range.start, range.end));
     }
 
+    // Let the server reject a bad query or projection before any chunk is written
+    async validateQuery() {
+        if (!this.query && !this.projection) return;
+
+        try {
+            await this.coll.find(this.applyQuery({}), { projection: this.projection || undefined }).limit(1).toArray();
+        } catch (error) {
+            throw new Error(`Invalid query or projection: ${error.message}`);
+        }
+
+        if (this.query) {
+            this.logger.log(`Query: ${BSON.EJSON.stringify(this.query)}`);
+        }
+        if (this.projection) {
+            this.logger.log(`Projection: ${BSON.EJSON.stringify(this.projection)}`);
+        }
+    }
+
+    // Chunks in one output directory must all come from the same query, projection and
+    // redaction rules, otherwise restore, verify and archive would mix differently filtered data
+    assertSameQuery(manifestEntry) {
+        if (!manifestEntry || manifestEntry.chunks.length === 0) return;
+
+        const current = this.getManifestCollectionInfo();
+        for (const field of ['query', 'projection', 'redaction', 'transformed']) {
+            if (JSON.stringify(manifestEntry[field] || null) !== JSON.stringify(current[field] || null)) {
+                throw new Error(`${this.outputDir} already holds chunks of ${this.database}.${this.collection} dumped with a different ${field}; use another output directory`);
+            }
+        }
+    }
+
+    // The unbucketed chunk remembers the span of the period chunks next to it so
+    // its filter (and later verify counts) exclude exactly those documents
+    getUnbucketedRange(periodRanges) {
+        const first = periodRanges[0];
+        const last = periodRanges[periodRanges.length - 1];
+        return {
+            key: UNBUCKETED_KEY,
+            period: UNBUCKETED_KEY,
+            unbucketed: true,
+            start: first ? first.start : null,
+            end: last ? last.end : null
+        };
+    }
+
+    // Range of a manifest chunk, as passed to getChunkFilter
+    rangeOfManifestChunk(chunk) {
+        return {
+            start: chunk.start ? new Date(chunk.start) : null,
+            end: chunk.end ? new Date(chunk.end) : null,
+            unbucketed: chunk.unbucketed || false
+        };
+    }
+
+    async getChunkDocumentCount(range) {
+        return await this.coll.countDocuments(this.getChunkFilter(range));
+    }
+
+    generateMonthlyRanges(minDate, maxDate) {
+        return generateRanges(minDate, maxDate, 'month');
+    }
+
+    generatePeriodRanges(minDate, maxDate) {
+        return generateRanges(minDate, maxDate, this.splitBy);
+    }
 
     async getMonthlyDocumentCount(start, end) {
-        return await this.coll.countDocuments({
-            [this.dateField]: {
-                $gte: start,
-                $lt: end
+        return await this.coll.countDocuments(this.applyQuery(this.getRangeFilter(start, end)));
+    }
+
+    // Halve a range by time until every piece holds at most maxDocsPerChunk documents.
+    // Ranges that can't be narrowed further (all documents share a timestamp) are kept whole.
+    async subdivideRange(start, end, count) {
+        if (count <= this.maxDocsPerChunk || end - start <= 1) {
+            if (count > this.maxDocsPerChunk) {
+                this.logger.log(`  ⚠ Range starting ${start.toISOString()} holds ${count.toLocaleString()} documents at one timestamp; keeping it whole`);
+            }
+            return [{ start, end, count }];
+        }
+
+        const middle = new Date(start.getTime() + Math.floor((end - start) / 2));
+        const firstCount = await this.getMonthlyDocumentCount(start, middle);
+
+        return [
+            ...await this.subdivideRange(start, middle, firstCount),
+            ...await this.subdivideRange(middle, end, count - firstCount)
+        ];
+    }
+
+    // Halving leaves sparse stretches as near-empty pieces; fold neighbours back together
+    mergeSmallPieces(pieces) {
+        const merged = [];
+        for (const piece of pieces) {
+            const last = merged[merged.length - 1];
+            if (last && last.count + piece.count <= this.maxDocsPerChunk) {
+                last.end = piece.end;
+                last.count += piece.count;
+            } else {
+                merged.push({ ...piece });
+            }
+        }
+        return merged;
+    }
+
+    // Expand each period into the chunks that are actually dumped. Plans are kept in state
+    // so a resumed run reuses the same boundaries even if counts changed in between.
+    async planChunks(periodRanges, state) {
+        const chunks = [];
+
+        for (const range of periodRanges) {
+            const savedPlan = state.chunkPlans[range.key];
+            if (savedPlan) {
+                chunks.push(...savedPlan.map(part => ({
+                    key: part.key,
+                    start: new Date(part.start),
+                    end: new Date(part.end),
+                    period: range.key
+                })));
+                continue;
+            }
+
+            if (!this.maxDocsPerChunk || state.completedMonths.includes(range.key)) {
+                chunks.push({ ...range, period: range.key });
+                continue;
+            }
+
+            const count = await this.getMonthlyDocumentCount(range.start, range.end);
+            if (count <= this.maxDocsPerChunk) {
+                chunks.push({ ...range, period: range.key });
+                continue;
+            }
+
+            const pieces = this.mergeSmallPieces(await this.subdivideRange(range.start, range.end, count));
+            const plan = pieces.map((piece, index) => ({
+                key: partKey(range.key, index, pieces.length),
+                start: piece.start,
+                end: piece.end,
+                period: range.key
+            }));
+
+            this.logger.log(`  ${range.key}: ${count.toLocaleString()} documents split into ${plan.length} parts`);
+            state.chunkPlans[range.key] = plan.map(part => ({
+                key: part.key,
+                start: part.start.toISOString(),
+                end: part.end.toISOString()
+            }));
+            await this.saveState(state);
+            chunks.push(...plan);
+        }
+
+        return chunks;
+    }
+
+    // Current maximum of the watermark field, read before dumping so anything
+    // written while the dump runs is picked up by the next incremental run
+    async getHighWaterMark() {
+        const [latest] = await this.coll
+            .find(this.applyQuery({ [this.watermarkField]: { $exists: true, $ne: null } }), { projection: { [this.watermarkField]: 1 } })
+            .sort({ [this.watermarkField]: -1 })
+            .limit(1)
+            .toArray();
+        return latest ? fieldValue(latest, this.watermarkField) : null;
+    }
+
+    // A chunk dumped before its range ended may have missed documents, so
+    // incremental runs dump it again (the unbucketed chunk never ends); archived
+    // chunks are never re-dumped
+    needsIncrementalDump(range, manifestEntry) {
+        const chunk = manifestEntry && manifestEntry.chunks.find(item => item.key === range.key);
+        if (!chunk || range.unbucketed) return true;
+        return new Date(chunk.dumpedAt) < new Date(chunk.end);
+    }
+
+    // Drop chunks left over from an earlier plan of a period that was dumped again
+    // (whole period <-> .part-NN, or a different part count); their ranges overlap the
+    // new chunks. Keys are checked against the whole plan, so parts finished before a
+    // resume stay, and archived chunks are the only copy of their documents
+    async removeStaleChunks(manifestEntry, redumpedRanges, plannedRanges) {
+        if (!manifestEntry) return;
+
+        const periods = new Set(redumpedRanges.map(range => range.period || range.key));
+        const currentKeys = new Set(plannedRanges.map(range => range.key));
+        const stale = manifestEntry.chunks.filter(chunk =>
+            periods.has(chunk.period) && !currentKeys.has(chunk.key) && !chunk.archivedAt
+        );
+
+        for (const chunk of stale) {
+            const file = await this.describeBackupChunk(chunk.key, this.manifest.resolveChunkPath(chunk), {
+                layout: chunk.layout,
+                metadataPath: chunk.metadataFile ? this.manifest.resolveChunkPath({ file: chunk.metadataFile }) : null
+            });
+            for (const filePath of file.files) {
+                await fs.unlink(filePath).catch(() => {});
+            }
+            await this.removeEmptyChunkDirs(file);
+            this.logger.log(`  Removed stale chunk ${chunk.key}`);
+        }
+        if (stale.length > 0) {
+            await this.manifest.removeChunks(this.database, this.collection, stale.map(chunk => chunk.key));
+        }
+    }
+
+    // Capture documents in already-dumped periods whose watermark moved past the last run.
+    // Only meaningful with an updatedAt-style field; new documents land in re-dumped periods.
+    async dumpDelta(manifestEntry, highWaterMark) {
+        const previous = manifestEntry && manifestEntry.incremental;
+        if (!previous || this.watermarkField === this.dateField) {
+            return null;
+        }
+        if (previous.field !== this.watermarkField) {
+            this.logger.log(`⚠ Watermark field changed from '${previous.field}' to '${this.watermarkField}'; skipping delta, next run continues from here`);
+            return null;
+        }
+
+        const since = BSON.EJSON.deserialize(previous.highWaterMark);
+        const deltas = manifestEntry.deltas || [];
+        const sequence = deltas.length + 1;
+        const key = `delta-${String(sequence).padStart(4, '0')}`;
+        const filePath = path.join(this.outputDir, chunkFilename(this.database, this.collection, key, this.format, this.compress));
+
+        this.logger.log(`Dumping changes to '${this.watermarkField}' since the last run (${key})...`);
+
+        const cursor = this.coll
+            .find(this.applyQuery({ [this.watermarkField]: { $gt: since, $lte: highWaterMark } }), {
+                promoteValues: false,
+                projection: this.projection || undefined
+            })
+            .sort({ [this.watermarkField]: 1 })
+            .batchSize(this.batchSize);
+
+        let result;
+        try {
+            result = await writeChunk(this.chunkDocuments(cursor, key, true), filePath, { format: this.format, compress: this.compress });
+        } finally {
+            await cursor.close().catch(() => {});
+        }
+
+        // Nothing changed: no delta file, and the high-water mark still moves forward
+        if (result.documents === 0) {
+            await fs.unlink(filePath).catch(() => {});
+            this.logger.log('  ✓ No changed documents since the last run; no delta written');
+            return null;
+        }
+
+        const delta = {
+            key,
+            sequence,
+            field: this.watermarkField,
+            since: previous.highWaterMark,
+            until: BSON.EJSON.serialize(highWaterMark),
+            documents: result.documents,
+            file: this.relativeOutputPath(filePath),
+            bytes: result.bytes,
+            sha256: await sha256File(filePath),
+            format: this.format,
+            compression: this.compress ? 'gzip' : 'none',
+            dumpedAt: new Date().toISOString()
+        };
+
+        await this.manifest.update(manifest => {
+            const entry = manifest.collections[`${this.database}.${this.collection}`];
+            if (entry) {
+                entry.deltas = [...(entry.deltas || []), delta];
             }
         });
+
+        this.logger.log(`  ✓ Delta ${key}: ${result.documents.toLocaleString()} changed documents`);
+        return delta;
+    }
+
+    async recordHighWaterMark(highWaterMark) {
+        if (highWaterMark === null || highWaterMark === undefined) return;
+
+        await this.manifest.update(manifest => {
+            const entry = manifest.collections[`${this.database}.${this.collection}`];
+            if (entry) {
+                entry.incremental = {
+                    field: this.watermarkField,
+                    highWaterMark: BSON.EJSON.serialize(highWaterMark),
+                    recordedAt: new Date().toISOString()
+                };
+            }
+        });
+    }
+
+    printUnbucketedSummary(count) {
+        if (count > 0) {
+            this.logger.log(`⚠ Documents without a usable '${this.dateField}' (missing, null or non-${this.dateValues.join('/')}): ${count.toLocaleString()}, in the ${UNBUCKETED_KEY} chunk`);
+        } else {
+            this.logger.log(`Documents without a usable '${this.dateField}': 0`);
+        }
     }
 
     async executeCommand(command, args = []) {
+        throwIfCancelled(this.signal);
         return new Promise((resolve, reject) => {
-            console.log(`  Executing: ${command} ${args.join(' ')}`);
+            this.logger.log(`  Executing: ${command} ${args.join(' ')}`);
             
             const child = spawn(command, args, {
                 stdio: ['pipe', 'pipe', 'pipe']
             });
+            // On cancellation the child is stopped, and the promise settles once it has exited
+            const detach = killOnAbort(child, this.signal);
 
             let stdout = '';
             let stderr = '';
@@ -301,9 +860,9 @@ class MongoDumper {
             child.stdout.on('data', (data) => {
                 const output = data.toString();
                 stdout += output;
-                // Show real-time progress from mongodump
-                if (output.includes('documents')) {
-                    process.stdout.write(`\r  ${output.trim()}`);
+                // Show real-time progress from mongodump (parallel runs would overwrite each other's line)
+                if (output.includes('documents') && this.parallel === 1) {
+                    this.logger.write(`\r  ${output.trim()}`);
                 }
             });
 
@@ -312,8 +871,11 @@ class MongoDumper {
             });
 
             child.on('close', (code) => {
-                if (code === 0) {
-                    console.log(''); // New line after progress
+                detach();
+                if (this.signal && this.signal.aborted) {
+                    reject(cancelledError());
+                } else if (code === 0) {
+                    this.logger.log(''); // New line after progress
                     resolve({ stdout, stderr, exitCode: code });
                 } else {
                     reject(new Error(`Command failed with exit code ${code}: ${stderr}`));
@@ -321,18 +883,57 @@ class MongoDumper {
             });
 
             child.on('error', (error) => {
+                detach();
                 reject(new Error(`Failed to execute command: ${error.message}`));
             });
         });
     }
 
+    // Parallel runs interleave chunk output, so their lines name the collection too
+    chunkLabel(key) {
+        return this.parallel > 1 ? `${this.collection} ${key}` : key;
+    }
+
     async dumpMonth(monthRange, monthIndex, totalMonths) {
-        const { start, end, key } = monthRange;
+        if (this.engine === 'native') {
+            return await this.dumpMonthNative(monthRange, monthIndex, totalMonths);
+        }
+        return await this.dumpMonthMongodump(monthRange, monthIndex, totalMonths);
+    }
+
+    async dumpMonthNative(monthRange, monthIndex, totalMonths) {
+        const { key } = monthRange;
+
+        this.logger.log(`[${monthIndex + 1}/${totalMonths}] Dumping ${this.chunkLabel(key)}...`);
+
+        const filename = chunkFilename(this.database, this.collection, key, this.format, this.compress);
+        const filePath = path.join(this.outputDir, filename);
+
+        // Keep numeric BSON types (Int32/Int64/Double) as wrappers so they round-trip exactly
+        const cursor = this.coll
+            .find(this.getChunkFilter(monthRange), { promoteValues: false, projection: this.projection || undefined })
+            .batchSize(this.batchSize);
+
+        try {
+            const { documents, bytes } = await writeChunk(this.chunkDocuments(cursor, key), filePath, {
+                format: this.format,
+                compress: this.compress
+            });
+
+            this.logger.log(`  ✓ ${this.parallel > 1 ? this.chunkLabel(key) : 'Completed'}: ${documents.toLocaleString()} documents (${this.formatBytes(bytes)})`);
+            return { key, documents, file: filePath, bytes };
+        } finally {
+            await cursor.close().catch(() => {});
+        }
+    }
+
+    async dumpMonthMongodump(monthRange, monthIndex, totalMonths) {
+        const { key } = monthRange;
         
-        console.log(`[${monthIndex + 1}/${totalMonths}] Dumping ${key}...`);
+        this.logger.log(`[${monthIndex + 1}/${totalMonths}] Dumping ${this.chunkLabel(key)}...`);
 
         // Build mongodump query
-        const query = `{"${this.dateField}":{"$gte":{"$date":"${start.toISOString()}"},"$lt":{"$date":"${end.toISOString()}"}}}`;
+        const query = BSON.EJSON.stringify(this.getChunkFilter(monthRange), { relaxed: false });
         
         // Create output directory for this chunk
         const chunkOutputDir = path.join(this.outputDir, key);
@@ -352,11 +953,13 @@ class MongoDumper {
             args.push('--gzip');
         }
 
+        const dumpFilePath = path.join(chunkOutputDir, this.database, `${this.collection}.bson${this.compress ? '.gz' : ''}`);
+        const metadataFilePath = path.join(chunkOutputDir, this.database, `${this.collection}.metadata.json${this.compress ? '.gz' : ''}`);
+
         try {
             const result = await this.executeCommand('mongodump', args);
             
             // Count documents from the output
-            const dumpFilePath = path.join(chunkOutputDir, this.database, `${this.collection}.bson${this.compress ? '.gz' : ''}`);
             let docCount = 0;
             
             // Extract document count from mongodump output if available
@@ -367,57 +970,167 @@ class MongoDumper {
                 }
             }
 
-            console.log(`  ✓ Completed: ${docCount.toLocaleString()} documents`);
-            return { key, documents: docCount, file: dumpFilePath };
+            const stats = await fs.stat(dumpFilePath);
+
+            this.logger.log(`  ✓ ${this.parallel > 1 ? this.chunkLabel(key) : 'Completed'}: ${docCount.toLocaleString()} documents`);
+            return { key, documents: docCount, file: dumpFilePath, metadataFile: metadataFilePath, bytes: stats.size };
 
         } catch (error) {
-            // Clean up partial directory on failure
-            try {
-                await fs.rmdir(chunkOutputDir, { recursive: true });
-            } catch (cleanupError) {
-                // Ignore cleanup errors
-            }
+            // Clean up this collection's partial output on failure or cancellation. The
+            // period directory is shared with other collections' chunks, so it only goes
+            // once empty
+            await Promise.all([dumpFilePath, metadataFilePath].map(file => fs.unlink(file).catch(() => {})));
+            await this.removeEmptyChunkDirs({ layout: 'mongodump', path: dumpFilePath });
             throw error;
         }
     }
 
-    async validateBackupFile(monthKey) {
-        const filename = `${this.database}_${this.collection}_${monthKey}`;
-        const extension = this.format === 'bson' ? '.bson' : '.jsonl';
-        const compressExt = this.compress ? '.gz' : '';
-        const filePath = path.join(this.outputDir, `${filename}${extension}${compressExt}`);
+    getManifestCollectionInfo() {
+        return {
+            database: this.database,
+            collection: this.collection,
+            dateField: this.dateField,
+            dateValues: this.dateValues,
+            splitBy: this.splitBy,
+            engine: this.engine,
+            query: this.query ? BSON.EJSON.serialize(this.query, { relaxed: false }) : null,
+            projection: this.projection ? BSON.EJSON.serialize(this.projection, { relaxed: false }) : null,
+            redaction: this.getRedactionInfo(),
+            // Written by filter/transform hooks, so chunks no longer mirror the source
+            transformed: hasHooks(this),
+            source: { uri: redactUri(this.uri) }
+        };
+    }
+
+    relativeOutputPath(filePath) {
+        return path.relative(this.outputDir, filePath).split(path.sep).join('/');
+    }
+
+    async recordManifestChunk(range, result, expectedDocuments) {
+        const chunk = {
+            key: range.key,
+            period: range.period || range.key,
+            start: range.start ? range.start.toISOString() : null,
+            end: range.end ? range.end.toISOString() : null,
+            documents: expectedDocuments,
+            file: this.relativeOutputPath(result.file),
+            bytes: result.bytes,
+            sha256: await sha256File(result.file),
+            format: this.engine === 'mongodump' ? 'bson' : this.format,
+            compression: this.compress ? 'gzip' : 'none',
+            layout: this.engine === 'mongodump' ? 'mongodump' : 'native',
+            dumpedAt: new Date().toISOString()
+        };
+
+        if (range.unbucketed) {
+            chunk.unbucketed = true;
+        }
+
+        if (result.metadataFile) {
+            chunk.metadataFile = this.relativeOutputPath(result.metadataFile);
+        }
+
+        // mongodump's own count is scraped from its output, so only compare native counts
+        if (this.engine === 'native' && result.documents !== expectedDocuments) {
+            chunk.dumpedDocuments = result.documents;
+        }
+        if (chunk.dumpedDocuments !== undefined && !hasHooks(this)) {
+            this.logger.log(`  ⚠ ${range.key}: counted ${expectedDocuments.toLocaleString()} documents but dumped ${result.documents.toLocaleString()} (collection changed during dump?)`);
+        }
+
+        await this.manifest.recordChunk(this.getManifestCollectionInfo(), chunk);
+    }
+
+    async validateBackupFile(file) {
+        const filePath = file.path;
         
         try {
             const stats = await fs.stat(filePath);
             if (stats.size === 0) {
                 return { exists: false, valid: false, path: filePath, reason: 'File is empty' };
             }
+            // A file changed since it was verified no longer counts as verified
+            if (file.manifestChunk && file.manifestChunk.bytes !== stats.size) {
+                return {
+                    exists: true,
+                    valid: false,
+                    path: filePath,
+                    reason: `Size ${stats.size} does not match manifest (${file.manifestChunk.bytes})`
+                };
+            }
             return { exists: true, valid: true, path: filePath, size: stats.size };
         } catch (error) {
             return { exists: false, valid: false, path: filePath, reason: error.message };
         }
     }
 
+    // Describe one chunk on disk: the data file plus any companion files deleted with it
+    // (mongodump writes <coll>.metadata.json(.gz) next to <coll>.bson(.gz))
+    async describeBackupChunk(monthKey, filePath, { layout, metadataPath = null, manifestChunk = null }) {
+        const stats = await fs.stat(filePath).catch(() => null);
+        const files = [filePath];
+        let size = stats ? stats.size : 0;
+
+        if (metadataPath) {
+            const metadataStats = await fs.stat(metadataPath).catch(() => null);
+            if (metadataStats) {
+                files.push(metadataPath);
+                size += metadataStats.size;
+            }
+        }
+
+        const chunk = {
+            monthKey,
+            filename: this.relativeOutputPath(filePath),
+            path: filePath,
+            files,
+            layout,
+            size,
+            modified: stats ? stats.mtime : null
+        };
+        if (manifestChunk) {
+            chunk.manifestChunk = manifestChunk;
+        }
+        return chunk;
+    }
+
     async findBackupFiles() {
+        // The manifest is authoritative when the backup has one
+        const manifestEntry = await this.manifest.getCollection(this.database, this.collection);
+        if (manifestEntry) {
+            const files = [];
+            for (const chunk of manifestEntry.chunks) {
+                files.push(await this.describeBackupChunk(chunk.key, this.manifest.resolveChunkPath(chunk), {
+                    layout: chunk.layout,
+                    metadataPath: chunk.metadataFile ? this.manifest.resolveChunkPath({ file: chunk.metadataFile }) : null,
+                    manifestChunk: chunk
+                }));
+            }
+            return files;
+        }
+
+        // No manifest: scan for native chunk files and mongodump chunk directories
         const files = [];
         try {
             const dirContents = await fs.readdir(this.outputDir);
-            const pattern = new RegExp(`^${this.database}_${this.collection}_(\\d{4}-\\d{2})\\.(jsonl|bson)(\\.gz)?$`);
             
-            for (const file of dirContents) {
-                const match = file.match(pattern);
-                if (match) {
-                    const monthKey = match[1];
-                    const filePath = path.join(this.outputDir, file);
-                    const stats = await fs.stat(filePath);
-                    
-                    files.push({
-                        monthKey,
-                        filename: file,
-                        path: filePath,
-                        size: stats.size,
-                        modified: stats.mtime
-                    });
+            for (const item of dirContents) {
+                const itemPath = path.join(this.outputDir, item);
+                const parsed = parseChunkFilename(item, this.database);
+
+                if (parsed && parsed.collection === this.collection) {
+                    files.push(await this.describeBackupChunk(parsed.key, itemPath, { layout: 'native' }));
+                } else if (isChunkKey(item)) {
+                    const dbPath = path.join(itemPath, this.database);
+                    for (const extension of ['.bson.gz', '.bson']) {
+                        const bsonPath = path.join(dbPath, `${this.collection}${extension}`);
+                        const stats = await fs.stat(bsonPath).catch(() => null);
+                        if (stats && stats.isFile()) {
+                            const metadataPath = path.join(dbPath, `${this.collection}.metadata.json${extension.endsWith('.gz') ? '.gz' : ''}`);
+                            files.push(await this.describeBackupChunk(item, bsonPath, { layout: 'mongodump', metadataPath }));
+                            break;
+                        }
+                    }
                 }
             }
             
@@ -427,51 +1140,85 @@ class MongoDumper {
         }
     }
 
+    // Remove `<key>/<db>` and `<key>` left empty after deleting a mongodump chunk
+    async removeEmptyChunkDirs(file) {
+        if (file.layout !== 'mongodump') return;
+
+        const dbDir = path.dirname(file.path);
+        for (const dir of [dbDir, path.dirname(dbDir)]) {
+            if (path.resolve(dir) === path.resolve(this.outputDir)) break;
+            try {
+                await fs.rmdir(dir);
+                this.logger.log(`   ✓ Removed empty directory: ${this.relativeOutputPath(dir)}`);
+            } catch (error) {
+                // Directory still holds other collections' chunks
+                break;
+            }
+        }
+    }
+
     async cleanBackedUpData(options = {}) {
-        const { months, confirmDelete = true, dryRun = false } = options;
+        const { months, periods = months, confirmDelete = true, dryRun = false } = options;
         
-        console.log('🔍 Scanning for backup files...');
+        this.logger.log('🔍 Scanning for backup files...');
         await this.ensureOutputDir();
         
-        // Load state to verify which months are actually completed
-        const state = await this.loadState();
-        const completedMonths = new Set(state.completedMonths);
+        // State entries of this collection, updated once chunks are deleted
+        // (across every date field and split unit it was dumped with, unless narrowed explicitly)
+        const stateScope = { ...this.getStateScope(), splitBy: this.options.splitBy };
         
         // Find all backup files
         const backupFiles = await this.findBackupFiles();
         
         if (backupFiles.length === 0) {
-            console.log('ℹ️  No backup files found');
+            this.logger.log('ℹ️  No backup files found');
             return { deleted: [], errors: [] };
         }
+
+        // verify works from the manifest, so chunks found only by file name can never pass it
+        const unverifiable = backupFiles.filter(file => !file.manifestChunk);
+        if (unverifiable.length > 0) {
+            this.logger.log(`⚠️  ${unverifiable.length} chunks of ${this.database}.${this.collection} have no manifest entry (backups made before manifest.json existed). Run \`mongo-backup verify --adopt-legacy\` to check them and add them to the manifest; until then clean never deletes them.`);
+        }
         
         // Filter files based on criteria
         let filesToDelete = backupFiles;
         
-        // If specific months provided, filter to only those
-        if (months && months.length > 0) {
-            const monthSet = new Set(months);
-            filesToDelete = backupFiles.filter(file => monthSet.has(file.monthKey));
+        // If specific periods provided, filter to only those
+        if (periods && periods.length > 0) {
+            const monthSet = new Set(periods);
+            filesToDelete = backupFiles.filter(file =>
+                monthSet.has(file.monthKey) || monthSet.has(periodOfChunkKey(file.monthKey))
+            );
         }
         
-        // Only include files that are marked as completed in state
+        // Only include files that are in the manifest and have passed `verify`
         filesToDelete = filesToDelete.filter(file => {
-            if (!completedMonths.has(file.monthKey)) {
-                console.log(`⚠️  Skipping ${file.monthKey}: not marked as completed in state file`);
+            if (!file.manifestChunk) {
+                this.logger.log(`⚠️  Skipping ${file.monthKey}: not in the manifest (run \`mongo-backup verify --adopt-legacy\` first)`);
+                return false;
+            }
+            if (file.manifestChunk && file.manifestChunk.archivedAt) {
+                this.logger.log(`⚠️  Skipping ${file.monthKey}: source documents were archived, this backup is the only copy`);
+                return false;
+            }
+            const verification = file.manifestChunk && file.manifestChunk.verification;
+            if (!verification || verification.status !== 'passed') {
+                this.logger.log(`⚠️  Skipping ${file.monthKey}: ${verification ? 'failed' : 'has not passed'} verification (run \`mongo-backup verify\` first)`);
                 return false;
             }
             return true;
         });
         
         if (filesToDelete.length === 0) {
-            console.log('ℹ️  No eligible files to delete');
+            this.logger.log('ℹ️  No eligible files to delete');
             return { deleted: [], errors: [] };
         }
         
         // Validate each file before deletion
-        console.log('🔍 Validating backup files...');
+        this.logger.log('🔍 Validating backup files...');
         const validationResults = await Promise.all(
-            filesToDelete.map(file => this.validateBackupFile(file.monthKey))
+            filesToDelete.map(file => this.validateBackupFile(file))
         );
         
         const validFiles = [];
@@ -483,99 +1230,247 @@ class MongoDumper {
                 validFiles.push({ ...file, validation });
             } else {
                 invalidFiles.push({ ...file, validation });
-                console.log(`⚠️  Invalid backup: ${file.monthKey} - ${validation.reason}`);
+                this.logger.log(`⚠️  Invalid backup: ${file.monthKey} - ${validation.reason}`);
             }
         });
         
         if (invalidFiles.length > 0) {
-            console.log(`\n⚠️  Found ${invalidFiles.length} invalid backup files. These will be skipped.`);
+            this.logger.log(`\n⚠️  Found ${invalidFiles.length} invalid backup files. These will be skipped.`);
         }
         
         if (validFiles.length === 0) {
-            console.log('❌ No valid backup files to delete');
+            this.logger.log('❌ No valid backup files to delete');
             return { deleted: [], errors: invalidFiles.map(f => f.validation.reason) };
         }
         
         // Show summary
-        console.log(`\n📋 Summary:`);
-        console.log(`   Valid backups found: ${validFiles.length}`);
-        console.log(`   Total size: ${this.formatBytes(validFiles.reduce((sum, f) => sum + f.size, 0))}`);
+        this.logger.log(`\n📋 Summary:`);
+        this.logger.log(`   Valid backups found: ${validFiles.length}`);
+        this.logger.log(`   Total size: ${this.formatBytes(validFiles.reduce((sum, f) => sum + f.size, 0))}`);
         
         if (dryRun) {
-            console.log('\n🔍 DRY RUN - Files that would be deleted:');
-            validFiles.forEach(file => {
-                console.log(`   • ${file.filename} (${this.formatBytes(file.size)})`);
-            });
+            this.logger.log('\n🔍 DRY RUN - Files that would be deleted:');
+            validFiles.forEach(file => this.printBackupChunk(file));
             return { deleted: [], errors: [], dryRun: validFiles };
         }
         
         // Confirmation prompt
         if (confirmDelete) {
-            console.log('\n⚠️  The following backup files will be PERMANENTLY deleted:');
-            validFiles.forEach(file => {
-                console.log(`   • ${file.filename} (${this.formatBytes(file.size)})`);
-            });
+            this.logger.log('\n⚠️  The following backup files will be PERMANENTLY deleted:');
+            validFiles.forEach(file => this.printBackupChunk(file));
             
             const confirmed = await this.promptConfirmation('\n❓ Are you sure you want to delete these files? (y/N): ');
             if (!confirmed) {
-                console.log('❌ Deletion cancelled');
+                this.logger.log('❌ Deletion cancelled');
                 return { deleted: [], errors: [], cancelled: true };
             }
         }
         
         // Perform deletion
-        console.log('\n🗑️  Deleting backup files...');
+        this.logger.log('\n🗑️  Deleting backup files...');
         const deleted = [];
         const errors = [];
         
         for (const file of validFiles) {
             try {
-                await fs.unlink(file.path);
-                console.log(`   ✓ Deleted: ${file.filename}`);
-                deleted.push(file);
-                
-                // Update state to remove from completed months
-                const monthIndex = state.completedMonths.indexOf(file.monthKey);
-                if (monthIndex > -1) {
-                    state.completedMonths.splice(monthIndex, 1);
+                for (const filePath of file.files) {
+                    await fs.unlink(filePath);
+                    this.logger.log(`   ✓ Deleted: ${this.relativeOutputPath(filePath)}`);
                 }
-                
+                deleted.push(file);
+                await this.removeEmptyChunkDirs(file);
             } catch (error) {
-                console.log(`   ✗ Failed to delete ${file.filename}: ${error.message}`);
+                this.logger.log(`   ✗ Failed to delete ${file.filename}: ${error.message}`);
                 errors.push({ file: file.filename, error: error.message });
             }
         }
         
-        // Save updated state
+        // Deleted chunks are no longer part of the backup
         if (deleted.length > 0) {
-            await this.saveState(state);
+            const orphanedDeltas = await this.manifest.removeChunks(this.database, this.collection, deleted.map(file => file.monthKey));
+            for (const delta of orphanedDeltas) {
+                const deltaPath = this.manifest.resolveChunkPath(delta);
+                try {
+                    await fs.unlink(deltaPath);
+                    this.logger.log(`   ✓ Deleted delta: ${this.relativeOutputPath(deltaPath)}`);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        this.logger.log(`   ✗ Failed to delete delta ${delta.file}: ${error.message}`);
+                        errors.push({ file: delta.file, error: error.message });
+                    }
+                }
+            }
+        }
+
+        // Remove deleted months from this collection's state entries
+        // (entries left without completed months are dropped, and the file with them)
+        if (deleted.length > 0) {
+            const deletedMonths = new Set(deleted.map(file => file.monthKey));
+            await this.stateStore.updateEntries(stateScope, entry => {
+                const remaining = entry.completedMonths.filter(monthKey => !deletedMonths.has(monthKey));
+                return remaining.length > 0 ? { ...entry, completedMonths: remaining } : null;
+            });
         }
         
-        // Also clean up index file if all months deleted
-        if (state.completedMonths.length === 0) {
+        // Also clean up index file once neither state nor manifest references this collection
+        const remainingEntries = await this.stateStore.findEntries({
+            database: this.database,
+            collection: this.collection
+        });
+        const remainingManifest = await this.manifest.getCollection(this.database, this.collection);
+        if (remainingEntries.length === 0 && !remainingManifest) {
             const indexFilename = `${this.database}_${this.collection}_indexes.json`;
             const indexFilePath = path.join(this.outputDir, indexFilename);
             try {
                 await fs.unlink(indexFilePath);
-                console.log(`   ✓ Cleaned up index file: ${indexFilename}`);
+                this.logger.log(`   ✓ Cleaned up index file: ${indexFilename}`);
             } catch (error) {
                 // Index file might not exist, ignore
             }
-            
-            // Clean up empty state file
-            try {
-                await fs.unlink(this.stateFile);
-                console.log('   ✓ Cleaned up state file');
-            } catch (error) {
-                // State file might not exist, ignore
-            }
         }
         
-        console.log(`\n✅ Cleanup completed: ${deleted.length} files deleted, ${errors.length} errors`);
+        this.logger.log(`\n✅ Cleanup completed: ${deleted.length} chunks deleted, ${errors.length} errors`);
         
         return { deleted, errors };
     }
 
+    async directorySize(dir) {
+        let total = 0;
+        const items = await fs.readdir(dir, { withFileTypes: true });
+        for (const item of items) {
+            const itemPath = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                total += await this.directorySize(itemPath);
+            } else {
+                const stats = await fs.stat(itemPath).catch(() => null);
+                total += stats ? stats.size : 0;
+            }
+        }
+        return total;
+    }
+
+    // Each subdirectory of rootDir holding a manifest.json is one backup run,
+    // dated by the manifest rather than by file modification times
+    async findBackupRuns(rootDir) {
+        const runs = [];
+        const items = await fs.readdir(rootDir, { withFileTypes: true });
+
+        for (const item of items) {
+            if (!item.isDirectory()) continue;
+
+            const runDir = path.join(rootDir, item.name);
+            const manifest = await new Manifest(runDir).read().catch(error => {
+                this.logger.log(`⚠️  Skipping ${item.name}: ${error.message}`);
+                return null;
+            });
+            if (!manifest) continue;
+
+            const collections = Object.values(manifest.collections);
+            runs.push({
+                name: item.name,
+                path: runDir,
+                createdAt: new Date(manifest.createdAt),
+                collections: collections.length,
+                archived: collections.some(entry => entry.chunks.some(chunk => chunk.archivedAt)),
+                size: await this.directorySize(runDir)
+            });
+        }
+
+        return runs.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async pruneBackupRuns(options = {}) {
+        const { rootDir = this.outputDir, confirmDelete = true, dryRun = false, ...policy } = options;
+
+        if (!hasRetentionRules(policy)) {
+            throw new Error('At least one retention rule is required (--keep-last, --keep-daily, --keep-weekly, --keep-monthly or --keep-yearly)');
+        }
+
+        this.logger.log(`🔍 Scanning for backup runs in ${rootDir}...`);
+        const runs = await this.findBackupRuns(rootDir);
+
+        if (runs.length === 0) {
+            this.logger.log('ℹ️  No backup runs found');
+            return { kept: [], deleted: [], errors: [] };
+        }
+
+        const keepReasons = selectRunsToKeep(runs, policy);
+        const kept = [];
+        const runsToDelete = [];
+
+        runs.forEach(run => {
+            if (keepReasons.has(run)) {
+                kept.push({ ...run, reasons: keepReasons.get(run) });
+            } else if (run.archived) {
+                // Source documents for some chunks were archived; this run may be the only copy
+                this.logger.log(`⚠️  Keeping ${run.name}: contains archived chunks`);
+                kept.push({ ...run, reasons: ['archived'] });
+            } else {
+                runsToDelete.push(run);
+            }
+        });
+
+        this.logger.log(`\n📋 Summary:`);
+        this.logger.log(`   Backup runs found: ${runs.length}`);
+        kept.forEach(run => {
+            this.logger.log(`   ✓ Keep ${run.name} (${run.createdAt.toISOString()}): ${run.reasons.join(', ')}`);
+        });
+        this.logger.log(`   Runs to delete: ${runsToDelete.length}`);
+        this.logger.log(`   Total size: ${this.formatBytes(runsToDelete.reduce((sum, run) => sum + run.size, 0))}`);
+
+        if (runsToDelete.length === 0) {
+            this.logger.log('ℹ️  No runs to prune');
+            return { kept, deleted: [], errors: [] };
+        }
+
+        if (dryRun) {
+            this.logger.log('\n🔍 DRY RUN - Runs that would be deleted:');
+            runsToDelete.forEach(run => {
+                this.logger.log(`   • ${run.name} (${run.createdAt.toISOString()}, ${this.formatBytes(run.size)})`);
+            });
+            return { kept, deleted: [], errors: [], dryRun: runsToDelete };
+        }
+
+        if (confirmDelete) {
+            this.logger.log('\n⚠️  The following backup runs will be PERMANENTLY deleted:');
+            runsToDelete.forEach(run => {
+                this.logger.log(`   • ${run.name} (${run.createdAt.toISOString()}, ${this.formatBytes(run.size)})`);
+            });
+
+            const confirmed = await this.promptConfirmation('\n❓ Are you sure you want to delete these runs? (y/N): ');
+            if (!confirmed) {
+                this.logger.log('❌ Deletion cancelled');
+                return { kept, deleted: [], errors: [], cancelled: true };
+            }
+        }
+
+        this.logger.log('\n🗑️  Deleting backup runs...');
+        const deleted = [];
+        const errors = [];
+
+        for (const run of runsToDelete) {
+            try {
+                await fs.rm(run.path, { recursive: true, force: true });
+                this.logger.log(`   ✓ Deleted: ${run.name}`);
+                deleted.push(run);
+            } catch (error) {
+                this.logger.log(`   ✗ Failed to delete ${run.name}: ${error.message}`);
+                errors.push({ run: run.name, error: error.message });
+            }
+        }
+
+        this.logger.log(`\n✅ Prune completed: ${deleted.length} runs deleted, ${errors.length} errors`);
+
+        return { kept, deleted, errors };
+    }
+
+    printBackupChunk(file) {
+        this.logger.log(`   • ${file.filename} (${this.formatBytes(file.size)})`);
+        file.files.slice(1).forEach(companion => {
+            this.logger.log(`     + ${this.relativeOutputPath(companion)}`);
+        });
+    }
+
     async promptConfirmation(message) {
         return new Promise((resolve) => {
             const rl = readline.createInterface({
@@ -598,8 +1493,26 @@ class MongoDumper {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    // Resolves with { database, status, collections, skipped, documents, bytes, durationMs }, where
+    // collections holds each dumped collection's result or { collection, status: 'failed', error }
+    // and status is completed, partial or failed. Under fail-fast, and when cancelled, the
+    // error carries it as .result
     async dumpAllCollections() {
-        console.log('Starting dump of all non-empty collections...');
+        const startedAt = Date.now();
+        const skipped = [];
+        const allResult = (collections) => ({
+            database: this.database,
+            status: runStatus(collections),
+            collections,
+            skipped,
+            documents: collections.reduce((sum, coll) => sum + (coll.documents || 0), 0),
+            bytes: collections.reduce((sum, coll) => sum + (coll.bytes || 0), 0),
+            durationMs: Date.now() - startedAt
+        });
+
+        this.logger.log(hasCollectionFilter(this)
+            ? 'Starting dump of selected non-empty collections...'
+            : 'Starting dump of all non-empty collections...');
         
         const collections = await this.listCollections();
         const nonEmptyCollections = collections.filter(coll => 
@@ -607,73 +1520,220 @@ class MongoDumper {
         );
         
         if (nonEmptyCollections.length === 0) {
-            console.log('No non-empty collections found.');
-            return;
+            this.logger.log('No non-empty collections found.');
+            return allResult([]);
         }
         
-        console.log(`Found ${nonEmptyCollections.length} non-empty collections:`);
+        this.logger.log(`Found ${nonEmptyCollections.length} non-empty collections:`);
         nonEmptyCollections.forEach(coll => {
-            console.log(`  • ${coll.name}: ${coll.count.toLocaleString()} documents`);
+            this.logger.log(`  • ${coll.name}: ${coll.count.toLocaleString()} documents`);
         });
         
-        console.log('\nChecking date field availability...');
+        this.logger.log('\nChecking date field availability...');
         
-        // Check which collections have the specified date field
+        // Pick the date field of each collection, skipping collections without one.
+        // A collection whose check throws is a failure, not a skip: it isn't backed up
         const validCollections = [];
+        const checkFailures = [];
         for (const coll of nonEmptyCollections) {
+            throwIfCancelled(this.signal);
             this.collection = coll.name; // Set current collection
             
             try {
                 await this.connect();
                 this.coll = this.db.collection(this.collection);
                 
-                // Check if date field exists in at least one document
-                const sample = await this.coll.findOne({ [this.dateField]: { $exists: true } });
-                if (sample) {
-                    validCollections.push(coll);
-                    console.log(`  ✓ ${coll.name}: has '${this.dateField}' field`);
+                const choice = await this.chooseDateField();
+                if (choice) {
+                    validCollections.push({ ...coll, dateField: choice.field });
+                    this.logger.log(`  ✓ ${coll.name}: using '${choice.field}' (${choice.source})`);
                 } else {
-                    console.log(`  ✗ ${coll.name}: missing '${this.dateField}' field, skipping`);
+                    const wanted = this.dateFields[coll.name] || this.defaultDateField;
+                    const reason = wanted ? `no usable '${wanted}' values` : 'no date field found';
+                    this.logger.log(`  ✗ ${coll.name}: ${reason}, skipping`);
+                    skipped.push({ collection: coll.name, reason });
+                    this.report('collection.skipped', { reason });
                 }
                 
                 await this.disconnect();
             } catch (error) {
-                console.log(`  ✗ ${coll.name}: error checking field - ${error.message}`);
+                const message = `error checking field - ${error.message}`;
+                this.logger.log(`  ✗ ${coll.name}: ${message}`);
+                checkFailures.push({ database: this.database, collection: coll.name, status: 'failed', error: message });
+                this.report('collection.failed', { error: message });
                 await this.disconnect();
+
+                if (this.errorPolicy === 'fail-fast') {
+                    const stopped = new Error(`Stopped after ${coll.name} failed: ${message}`);
+                    stopped.result = allResult(checkFailures);
+                    throw stopped;
+                }
             }
         }
         
         if (validCollections.length === 0) {
-            throw new Error(`No collections found with date field '${this.dateField}'`);
+            const error = new Error(checkFailures.length > 0
+                ? `No collection could be dumped; ${checkFailures.length} failed the date field check`
+                : 'No collections found with a usable date field');
+            error.result = allResult(checkFailures);
+            throw error;
         }
         
-        console.log(`\nDumping ${validCollections.length} collections with '${this.dateField}' field...`);
-        
-        // Dump each valid collection
-        for (let i = 0; i < validCollections.length; i++) {
-            const coll = validCollections[i];
-            this.collection = coll.name;
-            
-            console.log(`\n[${i + 1}/${validCollections.length}] Processing collection: ${this.collection}`);
-            console.log('─'.repeat(50));
-            
+        this.logger.log(`\nDumping ${validCollections.length} collections${this.parallel > 1 ? ` (up to ${this.parallel} chunks at a time)` : ''}...`);
+        await this.loadRedactor();
+
+        // Each collection gets its own dumper so several can run at once. They share
+        // this dumper's chunk pool, which keeps the overall limit at --parallel.
+        const collectionPool = new WorkerPool({ concurrency: this.parallel, errorPolicy: this.errorPolicy });
+        const settled = await collectionPool.settle(validCollections, async (coll, i) => {
+            throwIfCancelled(this.signal);
+            const dumper = new MongoDumper({
+                ...this.options,
+                collection: coll.name,
+                // The URI built (and any password prompted for) by this dumper
+                uri: this.uri,
+                pool: this.pool,
+                redactor: this.redactor,
+                events: this.events
+            });
+            dumper.useDateField(coll.dateField);
+
+            this.logger.log(`\n[${i + 1}/${validCollections.length}] Processing collection: ${coll.name}`);
+            this.logger.log('─'.repeat(50));
+
             try {
-                await this.run();
-                console.log(`✓ Collection ${this.collection} completed`);
+                const result = await dumper.run();
+                this.logger.log(`✓ Collection ${coll.name} completed`);
+                return result;
             } catch (error) {
-                console.error(`✗ Collection ${this.collection} failed: ${error.message}`);
-                // Continue with next collection instead of failing completely
+                if (!error.cancelled) {
+                    this.logger.error(`✗ Collection ${coll.name} failed: ${error.message}`);
+                }
+                throw error;
             }
+        });
+
+        const result = allResult([...checkFailures, ...settled.map((result, index) => (result.status === 'fulfilled' ? result.value : {
+            database: this.database,
+            collection: validCollections[index].name,
+            status: result.reason.cancelled ? 'cancelled' : 'failed',
+            error: errorMessage(result.reason)
+        }))]);
+        this.printAllCollectionsSummary(result);
+
+        if (result.status === 'cancelled') {
+            const error = cancelledError();
+            error.result = result;
+            throw error;
         }
-        
-        console.log('\n✓ All collections processing completed!');
+
+        // Under continue, the other collections carry on past a failed one
+        const failures = failuresOf(settled, validCollections.map(coll => coll.name));
+        if (failures.length > 0 && this.errorPolicy === 'fail-fast') {
+            const error = new Error(`Stopped after ${failures[0].label} failed: ${failures[0].error.message}`);
+            error.result = result;
+            throw error;
+        }
+        return result;
     }
 
+    printAllCollectionsSummary(result) {
+        const successful = result.collections.filter(coll => coll.status === 'completed');
+        const failed = result.collections.filter(coll => coll.status === 'failed');
+        const cancelled = result.collections.filter(coll => coll.status === 'cancelled');
+
+        this.logger.log('\n\n=== ALL COLLECTIONS DUMP SUMMARY ===');
+        this.logger.log(`Total collections processed: ${result.collections.length}`);
+        this.logger.log(`Successful: ${successful.length}`);
+        successful.forEach(coll => this.logger.log(`  ✓ ${coll.collection}: ${coll.documents.toLocaleString()} documents`));
+
+        if (failed.length > 0) {
+            this.logger.log(`Failed: ${failed.length}`);
+            failed.forEach(coll => this.logger.log(`  ✗ ${coll.collection}: ${coll.error}`));
+        }
+        if (cancelled.length > 0) {
+            this.logger.log(`Cancelled: ${cancelled.length} (${cancelled.map(coll => coll.collection).join(', ')})`);
+        }
+        if (result.skipped.length > 0) {
+            this.logger.log(`Skipped: ${result.skipped.length}`);
+            result.skipped.forEach(entry => this.logger.log(`  - ${entry.collection}: ${entry.reason}`));
+        }
+    }
+
+    // Structured lifecycle events: emitted, and written by the --log-format reporter
+    report(type, data = {}) {
+        const event = { operation: 'dump', database: this.database, collection: this.collection, ...data };
+        if (this.reporter) {
+            this.reporter.event(type, event);
+        }
+        this.events.emit(type, event);
+        this.events.emit('event', { type, ...event });
+    }
+
+    // Wrap one collection's work in collection.* events and time it
+    async reportCollection(work) {
+        const startedAt = Date.now();
+        this.report('collection.started');
+        try {
+            const result = { ...await work(), durationMs: Date.now() - startedAt };
+            this.report('collection.completed', {
+                chunks: result.chunks.length,
+                documents: result.documents,
+                bytes: result.bytes,
+                durationMs: result.durationMs
+            });
+            return result;
+        } catch (error) {
+            if (error.cancelled) {
+                this.report('collection.cancelled', { durationMs: Date.now() - startedAt });
+            } else {
+                this.report('collection.failed', { error: errorMessage(error), durationMs: Date.now() - startedAt });
+            }
+            throw error;
+        }
+    }
+
+    collectionResult(chunks, unbucketedDocuments, delta = null) {
+        return {
+            database: this.database,
+            collection: this.collection,
+            status: 'completed',
+            dateField: this.dateField,
+            splitBy: this.splitBy,
+            chunks,
+            documents: chunks.reduce((sum, chunk) => sum + chunk.documents, 0),
+            bytes: chunks.reduce((sum, chunk) => sum + (chunk.bytes || 0), 0),
+            unbucketedDocuments,
+            delta,
+            outputDir: this.outputDir
+        };
+    }
+
+    // Dump one collection; resolves with its result (see collectionResult)
     async run() {
+        return await this.reportCollection(() => this.dumpCollection());
+    }
+
+    async dumpCollection() {
         try {
             await this.ensureOutputDir();
             await this.connect();
 
+            if (!this.dateField) {
+                const detected = this.autoDetectDateField ? await this.detectDateField() : null;
+                if (!detected) {
+                    throw new Error(`No date field for ${this.collection}; pass --date-field or --auto-date-field`);
+                }
+                this.logger.log(`✓ Detected date field '${detected}'`);
+                this.useDateField(detected);
+            }
+
+            if (this.engine === 'mongodump') {
+                this.logger.log('Dump engine: mongodump (BSON output, --format and --batch-size are ignored)');
+            } else {
+                this.logger.log(`Dump engine: native (format: ${this.format}, batch size: ${this.batchSize.toLocaleString()})`);
+            }
+
             // FIRST: Extract and save all indexes before any dump operations
             // This ensures indexes are preserved even if dump is interrupted early
             if (!this.skipIndexExtraction) {
@@ -684,72 +1744,142 @@ class MongoDumper {
             // Check if index exists on date field and warn if not (read-only check)
             const hasIndex = await this.checkIndexExists(this.dateField);
             if (!hasIndex) {
-                console.log(`⚠ Warning: No index found on '${this.dateField}'. Query performance may be slow.`);
-                console.log(`   Consider manually creating: db.${this.collection}.createIndex({"${this.dateField}": 1})`);
+                this.logger.log(`⚠ Warning: No index found on '${this.dateField}'. Query performance may be slow.`);
+                this.logger.log(`   Consider manually creating: db.${this.collection}.createIndex({"${this.dateField}": 1})`);
             }
 
+            await this.validateQuery();
+            await this.loadRedactor();
+            this.assertSameQuery(await this.manifest.getCollection(this.database, this.collection));
 
             // Load previous state
             const state = await this.loadState();
-            console.log(`Resuming from state: ${state.completedMonths.length} months completed`);
+            this.logger.log(`Resuming from state: ${state.completedMonths.length} chunks completed`);
 
             // Get date range and generate monthly ranges
-            const { minDate, maxDate } = await this.getDateRange();
-            const monthlyRanges = this.generateMonthlyRanges(minDate, maxDate);
+            const dateRange = await this.getDateRange();
+            const periodRanges = dateRange ? this.generatePeriodRanges(dateRange.minDate, dateRange.maxDate) : [];
+            if (!state.chunkPlans) {
+                state.chunkPlans = {};
+            }
+            if (this.maxDocsPerChunk) {
+                this.logger.log(`Checking period sizes against ${this.maxDocsPerChunk.toLocaleString()} documents per chunk...`);
+            }
+            const monthlyRanges = await this.planChunks(periodRanges, state);
+
+            // Documents outside every period are dumped last, into their own chunk
+            const unbucketedRange = this.getUnbucketedRange(periodRanges);
+            const unbucketedCount = await this.getChunkDocumentCount(unbucketedRange);
+            if (unbucketedCount > 0) {
+                monthlyRanges.push(unbucketedRange);
+            }
             
-            console.log(`\nTotal months to process: ${monthlyRanges.length}`);
+            this.logger.log(`\nTotal chunks to process: ${monthlyRanges.length} (${periodRanges.length} periods, split by ${this.splitBy})`);
+
+            const manifestEntry = await this.manifest.getCollection(this.database, this.collection);
+            const archivedKeys = new Set(
+                (manifestEntry ? manifestEntry.chunks : []).filter(chunk => chunk.archivedAt).map(chunk => chunk.key)
+            );
+
+            // Read the watermark before dumping anything so no write falls between runs
+            let highWaterMark = null;
+            if (this.incremental) {
+                highWaterMark = await this.getHighWaterMark();
+                this.logger.log(`Incremental mode: watermark '${this.watermarkField}' at ${highWaterMark instanceof Date ? highWaterMark.toISOString() : highWaterMark}`);
+            }
 
-            // Filter out already completed months
+            // Filter out already completed months, and never overwrite chunks whose
+            // source documents were archived
             const pendingRanges = monthlyRanges.filter(range => 
-                !state.completedMonths.includes(range.key)
+                !state.completedMonths.includes(range.key) &&
+                !archivedKeys.has(range.key) &&
+                (!this.incremental || this.needsIncrementalDump(range, manifestEntry))
             );
 
-            console.log(`Pending months: ${pendingRanges.length}`);
+            this.logger.log(`Pending chunks: ${pendingRanges.length}`);
 
-            if (pendingRanges.length === 0) {
-                console.log('✓ All months already completed!');
-                return;
+            if (pendingRanges.length === 0 && !this.incremental) {
+                this.logger.log('✓ All chunks already completed!');
+                this.printUnbucketedSummary(unbucketedCount);
+                return this.collectionResult([], unbucketedCount);
             }
 
-            // Process each month
-            const results = [];
-            let cumulativeDocs = 0;
-
-            for (let i = 0; i < pendingRanges.length; i++) {
-                const monthRange = pendingRanges[i];
-                
+            // Dump the pending chunks through the pool; state saves are serialized by the state file lock
+            const settled = await this.pool.settle(pendingRanges, async (monthRange, i) => {
+                // Chunks still queued when the run is cancelled never start
+                throwIfCancelled(this.signal);
+                const startedAt = Date.now();
+                this.report('chunk.started', { chunk: monthRange.key, index: i + 1, total: pendingRanges.length });
                 try {
-                    const result = await this.dumpMonth(monthRange, i, pendingRanges.length);
-                    cumulativeDocs += result.documents;
-                    results.push(result);
+                    const expectedDocuments = await this.getChunkDocumentCount(monthRange);
+                    const result = { ...await this.dumpMonth(monthRange, i, pendingRanges.length), durationMs: Date.now() - startedAt };
+                    await this.recordManifestChunk(monthRange, result, expectedDocuments);
 
                     // Update state after processing month
                     state.completedMonths.push(monthRange.key);
                     state.lastProcessed = new Date().toISOString();
                     await this.saveState(state);
 
-                    // Show overall progress
-                    const overallPercent = ((i + 1) / pendingRanges.length * 100).toFixed(1);
-                    console.log(`Overall Progress: ${i + 1}/${pendingRanges.length} months completed (${overallPercent}%)`);
-
+                    this.report('chunk.completed', {
+                        chunk: monthRange.key,
+                        documents: result.documents,
+                        bytes: result.bytes,
+                        durationMs: result.durationMs,
+                        file: this.relativeOutputPath(result.file)
+                    });
+                    return result;
                 } catch (error) {
-                    console.error(`\n✗ Error processing ${monthRange.key}:`, error.message);
+                    if (error.cancelled) {
+                        this.logger.log(`  ⚠ Cancelled ${this.chunkLabel(monthRange.key)}; partial output removed`);
+                        this.report('chunk.cancelled', { chunk: monthRange.key, durationMs: Date.now() - startedAt });
+                        throw error;
+                    }
+                    this.logger.error(`\n✗ Error processing ${this.chunkLabel(monthRange.key)}:`, error.message);
+                    this.report('chunk.failed', { chunk: monthRange.key, error: errorMessage(error), durationMs: Date.now() - startedAt });
                     throw error;
                 }
+            }, () => this.logger.log(`Overall Progress: ${this.pool.progress()}`));
+
+            // Completed chunks were saved to the state file as they finished
+            throwIfCancelled(this.signal);
+
+            const results = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+            const failures = failuresOf(settled, pendingRanges.map(range => range.key));
+            if (failures.length > 0) {
+                // Completed chunks are in the state file, so a rerun only retries these
+                const first = failures[0];
+                const error = new Error(`${failures.length} of ${pendingRanges.length} chunks failed (first: ${first.label}: ${first.error.message})`);
+                error.skipped = failures.every(failure => failure.error.skipped);
+                throw error;
             }
 
-            // Summary
-            console.log('\n\n=== DUMP COMPLETED ===');
-            console.log(`Total months processed: ${results.length}`);
-            console.log(`Total documents dumped: ${results.reduce((sum, r) => sum + r.documents, 0).toLocaleString()}`);
-            console.log(`Output directory: ${this.outputDir}`);
+            // A period planned differently than last time leaves chunks that overlap the new ones
+            await this.removeStaleChunks(manifestEntry, pendingRanges, monthlyRanges);
+
+            let delta = null;
+            if (this.incremental) {
+                delta = await this.dumpDelta(manifestEntry, highWaterMark);
+                await this.recordHighWaterMark(highWaterMark);
+            }
 
-            // Clean up state file on successful completion
-            if (state.completedMonths.length === monthlyRanges.length) {
-                await fs.unlink(this.stateFile).catch(() => {});
-                console.log('✓ Clean completion - state file removed');
+            // Summary
+            this.logger.log('\n\n=== DUMP COMPLETED ===');
+            this.logger.log(`Total chunks processed: ${results.length}`);
+            this.logger.log(`Total documents dumped: ${results.reduce((sum, r) => sum + r.documents, 0).toLocaleString()}`);
+            if (delta) {
+                this.logger.log(`Delta ${delta.key}: ${delta.documents.toLocaleString()} changed documents`);
+            }
+            this.printUnbucketedSummary(unbucketedCount);
+            this.logger.log(`Output directory: ${this.outputDir}`);
+            this.logger.log(`Manifest: ${this.manifest.filePath}`);
+
+            // Drop this collection's state entry on successful completion
+            if (monthlyRanges.every(range => state.completedMonths.includes(range.key))) {
+                await this.stateStore.removeEntries(this.getStateScope());
+                this.logger.log('✓ Clean completion - state entry removed');
             }
 
+            return this.collectionResult(results, unbucketedCount, delta);
         } finally {
             await this.disconnect();
         }
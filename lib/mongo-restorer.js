@@ -1,27 +1,118 @@
-const { MongoClient } = require('mongodb');
+const EventEmitter = require('events');
+const { MongoClient, MongoBulkWriteError } = require('mongodb');
 const fs = require('fs').promises;
 const path = require('path');
-const { createReadStream } = require('fs');
-const { createGunzip } = require('zlib');
 const readline = require('readline');
 const { spawn } = require('child_process');
+const { parseChunkFilename, readChunk } = require('./chunk-io');
+const { StateStore } = require('./state-store');
+const { Manifest } = require('./manifest');
+const { ChangeLog, changeLogDir, eventTime } = require('./change-log');
+const { fieldValue } = require('./date-values');
+const { createCollectionFilter } = require('./collection-filter');
+const { Redactor } = require('./redaction');
+const { applyHooks, assertHooks, hasHooks } = require('./document-hooks');
+const { WorkerPool, assertErrorPolicy, failuresOf, parseConcurrency, runStatus } = require('./worker-pool');
+const { createLogger, errorMessage } = require('./event-log');
+const { cancelledError, throwIfCancelled, killOnAbort } = require('./cancellation');
+const { UNBUCKETED_KEY, assertSplitUnit, isChunkKey, isPeriodKey, periodOfChunkKey, unitOfKey } = require('./periods');
+
+const ENGINES = ['native', 'mongorestore'];
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Matches the stored document only while it is older than `version`; documents whose
+// stored copy lacks the field predate it and take the change
+function newerVersionFilter(_id, field, version) {
+    return { _id, $or: [{ [field]: { $lt: version } }, { [field]: { $exists: false } }] };
+}
 
-class MongoRestorer {
+class MongoRestorer extends EventEmitter {
     constructor(options) {
+        super();
         this.options = options;
         this.database = options.database;
         this.collection = options.collection;
         this.targetDatabase = options.targetDatabase || options.database;
         this.allCollections = options.allCollections || false;
+        // Narrow restoreAllCollections: explicit names plus include/exclude globs
+        this.collections = options.collections || [];
+        this.include = options.include || [];
+        this.exclude = options.exclude || [];
+        this.collectionFilter = createCollectionFilter(this);
         this.inputDir = options.inputDir || './dump-backup';
         this.batchSize = options.batchSize || 25000;
+        this.engine = options.engine || 'native';
+        this.splitBy = options.splitBy || null;
         this.drop = options.drop || false;
         this.skipIndexRestoration = options.skipIndexRestoration || false;
+        this.until = options.until ? new Date(options.until) : null;
+        // Replay even when the capture or --until doesn't cover the base chunks' dump times
+        this.allowReplayGap = options.allowReplayGap || false;
+        // Chunks (and collections) restored at once, and whether a failure stops the rest
+        this.parallel = parseConcurrency(options.parallel);
+        this.errorPolicy = options.errorPolicy || 'continue';
+        assertErrorPolicy(this.errorPolicy);
+        // Shared with the per-collection restorers of restoreAllCollections
+        this.pool = options.pool || new WorkerPool({ concurrency: this.parallel, errorPolicy: this.errorPolicy });
+        // Receives structured lifecycle events (see lib/event-log.js)
+        this.reporter = options.reporter || null;
+        // The same events are emitted by type and as 'event'; the per-collection restorers
+        // of restoreAllCollections emit on the instance that created them
+        this.events = options.events || this;
+        if (options.onProgress) {
+            this.on('event', options.onProgress);
+        }
+        // Console-like sink for the human-readable output; silent drops it
+        this.logger = createLogger({ logger: options.logger, silent: options.silent });
+        // AbortSignal cancelling the run (see lib/cancellation.js)
+        this.signal = options.signal || null;
+        // Redaction rules file (or a ready Redactor) applied to documents before they are written
+        this.redact = options.redact || null;
+        this.redactor = options.redactor || null;
+        // filter(doc, ctx) / transform(doc, ctx) hooks, run after redaction
+        this.filter = options.filter || null;
+        this.transform = options.transform || null;
         this.stateFile = path.join(this.inputDir, '.restore-state.json');
+        this.stateStore = new StateStore(this.stateFile, { itemsField: 'restoredFiles' });
+        this.manifest = new Manifest(this.inputDir);
         this.client = null;
         this.db = null;
         this.coll = null;
         this.uri = null;
+
+        if (this.splitBy) {
+            assertSplitUnit(this.splitBy);
+        }
+        if (!ENGINES.includes(this.engine)) {
+            throw new Error(`Invalid engine '${this.engine}'. Expected one of: ${ENGINES.join(', ')}`);
+        }
+        if (this.until && isNaN(this.until.getTime())) {
+            throw new Error(`Invalid --until timestamp '${options.until}'`);
+        }
+        if ((this.redact || this.redactor) && this.engine === 'mongorestore') {
+            throw new Error('mongorestore cannot redact documents; use --engine native');
+        }
+        assertHooks(options);
+        if (hasHooks(this) && this.engine === 'mongorestore') {
+            throw new Error('Document hooks need the native engine');
+        }
+        if (hasHooks(this) && this.until) {
+            throw new Error('Captured changes are partial documents and cannot pass through filter/transform hooks; restore without until');
+        }
+    }
+
+    async loadRedactor() {
+        if (this.redact && !this.redactor) {
+            this.redactor = await Redactor.fromFile(this.redact);
+            this.logger.log(`✓ Loaded redaction rules from ${this.redact}`);
+        }
+        return this.redactor;
+    }
+
+    // Redacts one document of the current collection in place; identity without rules
+    redactFunction() {
+        const redact = this.redactor ? this.redactor.forCollection(this.collection) : null;
+        return redact || (doc => doc);
     }
 
     async promptPassword() {
@@ -35,7 +126,7 @@ class MongoRestorer {
             rl.question('Enter password: ', (password) => {
                 rl.stdoutMuted = false;
                 rl.close();
-                console.log();
+                this.logger.log();
                 resolve(password);
             });
 
@@ -48,7 +139,12 @@ class MongoRestorer {
         });
     }
 
+    // Built once per instance, so a prompted password is asked for only once
     async buildConnectionUri() {
+        if (this.uri) {
+            return;
+        }
+
         if (this.options.uri) {
             this.uri = this.options.uri;
             return;
@@ -81,48 +177,70 @@ class MongoRestorer {
         }
 
         this.uri = uri;
-        console.log(`Using connection: mongodb://${username ? username + '@' : ''}${host}:${port}`);
+        this.logger.log(`Using connection: mongodb://${username ? username + '@' : ''}${host}:${port}`);
     }
 
     async connect() {
         await this.buildConnectionUri();
-        console.log('Connecting to MongoDB...');
+        this.logger.log('Connecting to MongoDB...');
         this.client = new MongoClient(this.uri);
         await this.client.connect();
         this.db = this.client.db(this.targetDatabase);
         if (this.collection) {
             this.coll = this.db.collection(this.collection);
         }
-        console.log('✓ Connected to MongoDB');
+        this.logger.log('✓ Connected to MongoDB');
     }
 
     async disconnect() {
         if (this.client) {
             await this.client.close();
-            console.log('✓ Disconnected from MongoDB');
+            this.logger.log('✓ Disconnected from MongoDB');
         }
     }
 
+    getStateScope() {
+        return {
+            database: this.database,
+            targetDatabase: this.targetDatabase,
+            collection: this.collection
+        };
+    }
+
     async loadState() {
-        try {
-            const stateData = await fs.readFile(this.stateFile, 'utf8');
-            return JSON.parse(stateData);
-        } catch (error) {
-            return { restoredFiles: [], lastProcessed: null };
+        const scope = this.getStateScope();
+        const entry = await this.stateStore.findEntry(scope);
+        if (entry) {
+            return entry;
+        }
+
+        // Old shared state files can't tell which collection a chunk was restored into.
+        // Re-restoring is safe (duplicate keys are skipped), so discard rather than guess.
+        if (await this.stateStore.getLegacy()) {
+            this.logger.log('⚠ Discarding legacy restore state file; previously restored chunks will be re-applied and duplicates skipped');
+            await this.stateStore.dropLegacy();
         }
+
+        return { ...scope, restoredFiles: [], lastProcessed: null };
     }
 
     async saveState(state) {
-        await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+        await this.stateStore.saveEntry(this.getStateScope(), {
+            restoredFiles: state.restoredFiles,
+            lastProcessed: state.lastProcessed
+        });
     }
 
     async executeCommand(command, args = []) {
+        throwIfCancelled(this.signal);
         return new Promise((resolve, reject) => {
-            console.log(`  Executing: ${command} ${args.join(' ')}`);
+            this.logger.log(`  Executing: ${command} ${args.join(' ')}`);
             
             const child = spawn(command, args, {
                 stdio: ['pipe', 'pipe', 'pipe']
             });
+            // On cancellation the child is stopped, and the promise settles once it has exited
+            const detach = killOnAbort(child, this.signal);
 
             let stdout = '';
             let stderr = '';
@@ -130,9 +248,9 @@ class MongoRestorer {
             child.stdout.on('data', (data) => {
                 const output = data.toString();
                 stdout += output;
-                // Show real-time progress from mongorestore
-                if (output.includes('documents')) {
-                    process.stdout.write(`\r  ${output.trim()}`);
+                // Show real-time progress from mongorestore (parallel runs would overwrite each other's line)
+                if (output.includes('documents') && this.parallel === 1) {
+                    this.logger.write(`\r  ${output.trim()}`);
                 }
             });
 
@@ -141,8 +259,11 @@ class MongoRestorer {
             });
 
             child.on('close', (code) => {
-                if (code === 0) {
-                    console.log(''); // New line after progress
+                detach();
+                if (this.signal && this.signal.aborted) {
+                    reject(cancelledError());
+                } else if (code === 0) {
+                    this.logger.log(''); // New line after progress
                     resolve({ stdout, stderr, exitCode: code });
                 } else {
                     reject(new Error(`Command failed with exit code ${code}: ${stderr}`));
@@ -150,25 +271,46 @@ class MongoRestorer {
             });
 
             child.on('error', (error) => {
+                detach();
                 reject(new Error(`Failed to execute command: ${error.message}`));
             });
         });
     }
 
     async discoverCollections() {
-        console.log('Discovering collections in dump directory...');
+        const collectionList = await this.findBackedUpCollections();
+        const selected = collectionList.filter(this.collectionFilter);
+
+        const missing = this.collections.filter(name => !collectionList.includes(name));
+        if (missing.length > 0) {
+            this.logger.log(`⚠ Collections not found in backup: ${missing.join(', ')}`);
+        }
+        if (selected.length !== collectionList.length) {
+            this.logger.log(`✓ Selected ${selected.length} of ${collectionList.length} collections: ${selected.join(', ')}`);
+        }
+        return selected;
+    }
+
+    async findBackedUpCollections() {
+        this.logger.log('Discovering collections in dump directory...');
         
+        if (await this.manifest.exists()) {
+            const collectionList = await this.manifest.listCollections(this.database);
+            this.logger.log(`✓ Found ${collectionList.length} collections in manifest: ${collectionList.join(', ')}`);
+            return collectionList;
+        }
+
         try {
             const items = await fs.readdir(this.inputDir);
             const collections = new Set();
 
-            // Look for chunk directories (YYYY-MM format)
+            // Look for chunk directories (period keys such as YYYY-MM or YYYY-Q1)
             for (const item of items) {
                 const chunkPath = path.join(this.inputDir, item);
                 const stat = await fs.stat(chunkPath).catch(() => null);
                 
-                if (stat && stat.isDirectory() && item.match(/^\d{4}-\d{2}$/)) {
-                    // This is a monthly chunk directory
+                if (stat && stat.isDirectory() && isChunkKey(item)) {
+                    // This is a period chunk directory
                     const dbPath = path.join(chunkPath, this.database);
                     const dbStat = await fs.stat(dbPath).catch(() => null);
                     
@@ -182,11 +324,17 @@ class MongoRestorer {
                             }
                         });
                     }
+                } else if (stat && stat.isFile()) {
+                    // Native chunk file written by the in-process dump engine
+                    const parsed = parseChunkFilename(item, this.database);
+                    if (parsed) {
+                        collections.add(parsed.collection);
+                    }
                 }
             }
 
             const collectionList = Array.from(collections).sort();
-            console.log(`✓ Found ${collectionList.length} collections: ${collectionList.join(', ')}`);
+            this.logger.log(`✓ Found ${collectionList.length} collections: ${collectionList.join(', ')}`);
             
             return collectionList;
         } catch (error) {
@@ -194,20 +342,71 @@ class MongoRestorer {
         }
     }
 
+    chunksFromManifest(manifestEntry) {
+        return manifestEntry.chunks.map(chunk => ({
+            monthKey: chunk.key,
+            periodKey: chunk.period,
+            chunkDir: chunk.layout === 'mongodump' ? path.join(this.inputDir, chunk.key) : this.inputDir,
+            filePath: this.manifest.resolveChunkPath(chunk),
+            compressed: chunk.compression === 'gzip',
+            format: chunk.format,
+            layout: chunk.layout,
+            // What was written to the file; hooks may have dropped some of the source documents
+            expectedDocuments: chunk.dumpedDocuments !== undefined ? chunk.dumpedDocuments : chunk.documents,
+            dumpedAt: chunk.dumpedAt,
+            sortKey: chunk.key
+        }));
+    }
+
+    // Deltas written by incremental dumps, applied in order after the base chunks
+    async findDeltas() {
+        const manifestEntry = await this.manifest.getCollection(this.database, this.collection);
+        const deltas = (manifestEntry && manifestEntry.deltas) || [];
+
+        return deltas
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(delta => ({
+                monthKey: delta.key,
+                delta: true,
+                field: delta.field,
+                filePath: this.manifest.resolveChunkPath(delta),
+                compressed: delta.compression === 'gzip',
+                format: delta.format,
+                expectedDocuments: delta.documents,
+                dumpedAt: delta.dumpedAt
+            }));
+    }
+
     async findDumpChunks() {
-        console.log('Scanning for dump chunks...');
-        
+        this.logger.log('Scanning for dump chunks...');
+
+        const manifestEntry = await this.manifest.getCollection(this.database, this.collection);
+        const chunks = manifestEntry ? this.chunksFromManifest(manifestEntry) : await this.scanDumpChunks();
+
+        const selected = this.selectSplitUnit(chunks);
+        selected.sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+
+        this.logger.log(`✓ Found ${selected.length} dump chunks${manifestEntry ? ' in manifest' : ''}`);
+        if (selected.length > 0) {
+            this.logger.log(`  Date range: ${selected[0].monthKey} to ${selected[selected.length - 1].monthKey}`);
+        }
+
+        return selected;
+    }
+
+    // Fallback for backups written before manifest.json existed
+    async scanDumpChunks() {
         try {
             const items = await fs.readdir(this.inputDir);
             const chunks = [];
 
-            // Look for chunk directories (YYYY-MM format)
+            // Look for chunk directories (period keys such as YYYY-MM or YYYY-Q1)
             for (const item of items) {
                 const chunkPath = path.join(this.inputDir, item);
                 const stat = await fs.stat(chunkPath).catch(() => null);
                 
-                if (stat && stat.isDirectory() && item.match(/^\d{4}-\d{2}$/)) {
-                    // This is a monthly chunk directory
+                if (stat && stat.isDirectory() && isChunkKey(item)) {
+                    // This is a period chunk directory
                     const dbPath = path.join(chunkPath, this.database);
                     const dbStat = await fs.stat(dbPath).catch(() => null);
                     
@@ -222,45 +421,73 @@ class MongoRestorer {
                             const filePath = path.join(dbPath, file);
                             chunks.push({
                                 monthKey: item,
+                                periodKey: periodOfChunkKey(item),
                                 chunkDir: chunkPath,
                                 filePath: filePath,
                                 compressed: file.endsWith('.gz'),
+                                format: 'bson',
+                                layout: 'mongodump',
                                 sortKey: item
                             });
                         }
                     }
+                } else if (stat && stat.isFile()) {
+                    // Native chunk file: <db>_<coll>_<period key>.(jsonl|bson)(.gz)
+                    const parsed = parseChunkFilename(item, this.database);
+                    if (parsed && parsed.collection === this.collection) {
+                        chunks.push({
+                            monthKey: parsed.key,
+                            periodKey: periodOfChunkKey(parsed.key),
+                            chunkDir: this.inputDir,
+                            filePath: chunkPath,
+                            compressed: parsed.compressed,
+                            format: parsed.format,
+                            layout: 'native',
+                            sortKey: parsed.key
+                        });
+                    }
                 }
             }
 
-            chunks.sort((a, b) => a.sortKey.localeCompare(b.sortKey));
-            
-            console.log(`✓ Found ${chunks.length} dump chunks`);
-            if (chunks.length > 0) {
-                console.log(`  Date range: ${chunks[0].monthKey} to ${chunks[chunks.length - 1].monthKey}`);
-            }
-
             return chunks;
         } catch (error) {
             throw new Error(`Error reading input directory: ${error.message}`);
         }
     }
 
+    // Chunks of different granularities overlap in time, so never mix them silently
+    // (the unbucketed chunk belongs to no unit and is always kept)
+    selectSplitUnit(chunks) {
+        const unbucketed = chunks.filter(chunk => chunk.monthKey === UNBUCKETED_KEY);
+        const periodChunks = chunks.filter(chunk => chunk.monthKey !== UNBUCKETED_KEY);
+
+        if (this.splitBy) {
+            return [...periodChunks.filter(chunk => unitOfKey(chunk.monthKey) === this.splitBy), ...unbucketed];
+        }
+
+        const units = Array.from(new Set(periodChunks.map(chunk => unitOfKey(chunk.monthKey))));
+        if (units.length > 1) {
+            throw new Error(`Found chunks split by ${units.join(', ')} for ${this.collection}; choose one with --split-by`);
+        }
+        return chunks;
+    }
+
     async loadIndexes() {
         const indexFilename = `${this.database}_${this.collection}_indexes.json`;
         const indexFilePath = path.join(this.inputDir, indexFilename);
         
         try {
-            console.log('Looking for saved indexes...');
+            this.logger.log('Looking for saved indexes...');
             const indexData = await fs.readFile(indexFilePath, 'utf8');
             const parsed = JSON.parse(indexData);
             
-            console.log(`✓ Found ${parsed.indexes.length} indexes to restore`);
+            this.logger.log(`✓ Found ${parsed.indexes.length} indexes to restore`);
             if (parsed.indexes.length > 0) {
                 parsed.indexes.forEach(index => {
                     const keyStr = Object.keys(index.key).map(field => 
                         `${field}:${index.key[field]}`
                     ).join(', ');
-                    console.log(`  - ${index.name}: {${keyStr}}`);
+                    this.logger.log(`  - ${index.name}: {${keyStr}}`);
                 });
             }
             
@@ -268,9 +495,9 @@ class MongoRestorer {
             
         } catch (error) {
             if (error.code === 'ENOENT') {
-                console.log('No index file found - skipping index restoration');
+                this.logger.log('No index file found - skipping index restoration');
             } else {
-                console.warn(`⚠ Warning: Failed to load indexes: ${error.message}`);
+                this.logger.warn(`⚠ Warning: Failed to load indexes: ${error.message}`);
             }
             return [];
         }
@@ -278,11 +505,11 @@ class MongoRestorer {
 
     async restoreIndexes(indexes) {
         if (indexes.length === 0) {
-            console.log('No indexes to restore');
+            this.logger.log('No indexes to restore');
             return;
         }
 
-        console.log(`\nRestoring ${indexes.length} indexes...`);
+        this.logger.log(`\nRestoring ${indexes.length} indexes...`);
         
         for (const indexDef of indexes) {
             try {
@@ -296,26 +523,494 @@ class MongoRestorer {
                     return acc;
                 }, {});
 
-                console.log(`Creating index '${name}'...`);
+                this.logger.log(`Creating index '${name}'...`);
                 await this.coll.createIndex(key, { name, ...cleanOptions });
-                console.log(`✓ Index '${name}' created successfully`);
+                this.logger.log(`✓ Index '${name}' created successfully`);
                 
             } catch (error) {
                 if (error.code === 85) { // Index already exists
-                    console.log(`✓ Index '${indexDef.name}' already exists`);
+                    this.logger.log(`✓ Index '${indexDef.name}' already exists`);
                 } else {
-                    console.warn(`⚠ Warning: Failed to create index '${indexDef.name}': ${error.message}`);
+                    this.logger.warn(`⚠ Warning: Failed to create index '${indexDef.name}': ${error.message}`);
                 }
             }
         }
         
-        console.log('✓ Index restoration completed');
+        this.logger.log('✓ Index restoration completed');
+    }
+
+    // Structured lifecycle events: emitted, and written by the --log-format reporter
+    report(type, data = {}) {
+        const event = {
+            operation: 'restore',
+            database: this.database,
+            targetDatabase: this.targetDatabase,
+            collection: this.collection,
+            ...data
+        };
+        if (this.reporter) {
+            this.reporter.event(type, event);
+        }
+        this.events.emit(type, event);
+        this.events.emit('event', { type, ...event });
+    }
+
+    // Wrap one collection's work in collection.* events and time it
+    async reportCollection(work) {
+        const startedAt = Date.now();
+        this.report('collection.started');
+        try {
+            const result = { ...await work(), durationMs: Date.now() - startedAt };
+            this.report('collection.completed', {
+                chunks: result.chunks.length,
+                documents: result.documents,
+                bytes: result.bytes,
+                durationMs: result.durationMs
+            });
+            return result;
+        } catch (error) {
+            if (error.cancelled) {
+                this.report('collection.cancelled', { durationMs: Date.now() - startedAt });
+            } else {
+                this.report('collection.failed', { error: errorMessage(error), durationMs: Date.now() - startedAt });
+            }
+            throw error;
+        }
+    }
+
+    collectionResult(chunks, replay = null) {
+        return {
+            database: this.database,
+            targetDatabase: this.targetDatabase,
+            collection: this.collection,
+            status: 'completed',
+            chunks,
+            documents: chunks.reduce((sum, chunk) => sum + chunk.documents, 0),
+            bytes: chunks.reduce((sum, chunk) => sum + (chunk.bytes || 0), 0),
+            replay
+        };
+    }
+
+    // Parallel runs interleave chunk output, so their lines name the collection too
+    chunkLabel(key) {
+        return this.parallel > 1 ? `${this.collection} ${key}` : key;
+    }
+
+    // Size of the chunk file read, as dump results report the size written
+    async chunkFileSize(chunkInfo) {
+        try {
+            return (await fs.stat(chunkInfo.filePath)).size;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Restore chunks through the pool, calling onRestored after each success.
+    // Throws once every chunk has settled if any of them failed.
+    async restoreChunks(chunks, onRestored = async () => {}, { inOrder = false } = {}) {
+        const settle = (inOrder ? this.pool.settleInOrder : this.pool.settle).bind(this.pool);
+        const settled = await settle(chunks, async (chunkInfo, i) => {
+            // Chunks still queued when the run is cancelled never start
+            throwIfCancelled(this.signal);
+            const startedAt = Date.now();
+            this.report('chunk.started', { chunk: chunkInfo.monthKey, delta: chunkInfo.delta || false, index: i + 1, total: chunks.length });
+            try {
+                const result = {
+                    ...await this.restoreChunk(chunkInfo, i, chunks.length),
+                    durationMs: Date.now() - startedAt,
+                    bytes: await this.chunkFileSize(chunkInfo)
+                };
+                await onRestored(chunkInfo, result);
+
+                this.report('chunk.completed', {
+                    chunk: chunkInfo.monthKey,
+                    delta: chunkInfo.delta || false,
+                    documents: result.documents,
+                    read: result.read,
+                    bytes: result.bytes,
+                    durationMs: result.durationMs
+                });
+                return result;
+            } catch (error) {
+                if (error.cancelled) {
+                    // Not recorded as restored, so a rerun inserts it again and skips the duplicates
+                    this.logger.log(`  ⚠ Cancelled ${this.chunkLabel(chunkInfo.monthKey)}`);
+                    this.report('chunk.cancelled', { chunk: chunkInfo.monthKey, durationMs: Date.now() - startedAt });
+                    throw error;
+                }
+                this.logger.error(`\n✗ Error processing ${this.chunkLabel(chunkInfo.monthKey)}:`, error.message);
+                this.report('chunk.failed', { chunk: chunkInfo.monthKey, error: errorMessage(error), durationMs: Date.now() - startedAt });
+                throw error;
+            }
+        }, () => this.logger.log(`Overall Progress: ${this.pool.progress()}`));
+
+        // Restored chunks were saved to the state file as they finished
+        throwIfCancelled(this.signal);
+
+        const failures = failuresOf(settled, chunks.map(chunk => chunk.monthKey));
+        if (failures.length > 0) {
+            // Restored chunks are in the state file, so a rerun only retries these
+            const first = failures[0];
+            const error = new Error(`${failures.length} of ${chunks.length} chunks failed (first: ${first.label}: ${first.error.message})`);
+            error.skipped = failures.every(failure => failure.error.skipped);
+            throw error;
+        }
+        return settled.map(result => result.value);
     }
 
     async restoreChunk(chunkInfo, chunkIndex, totalChunks) {
+        if (chunkInfo.delta) {
+            return await this.applyDelta(chunkInfo, chunkIndex, totalChunks);
+        }
+        if (this.engine === 'native') {
+            return await this.restoreChunkNative(chunkInfo, chunkIndex, totalChunks);
+        }
+        if (chunkInfo.layout !== 'mongodump') {
+            throw new Error(`mongorestore cannot restore native chunk file ${chunkInfo.filePath}; use --engine native`);
+        }
+        return await this.restoreChunkMongorestore(chunkInfo, chunkIndex, totalChunks);
+    }
+
+    async insertBatch(docs, coll = this.coll) {
+        try {
+            const result = await coll.insertMany(docs, { ordered: false });
+            return { inserted: result.insertedCount, duplicates: 0 };
+        } catch (error) {
+            if (!(error instanceof MongoBulkWriteError)) {
+                throw error;
+            }
+
+            // Unordered inserts keep going past duplicates; only fail on other write errors
+            const writeErrors = [].concat(error.writeErrors || []);
+            const otherErrors = writeErrors.filter(writeError => writeError.code !== DUPLICATE_KEY_ERROR);
+            if (otherErrors.length > 0 || writeErrors.length === 0) {
+                throw new Error(`Insert failed: ${otherErrors.length > 0 ? otherErrors[0].errmsg : error.message}`);
+            }
+
+            return { inserted: error.insertedCount, duplicates: writeErrors.length };
+        }
+    }
+
+    // ctx passed to filter/transform hooks for the documents of one chunk
+    getHookContext(chunkInfo) {
+        return {
+            database: this.database,
+            collection: this.collection,
+            targetDatabase: this.targetDatabase,
+            targetCollection: this.collection,
+            chunkKey: chunkInfo.monthKey,
+            delta: chunkInfo.delta || false
+        };
+    }
+
+    // Redact a stored document, then run it through the hooks. Returns the documents
+    // to write and the collection they go to; a hook may set ctx.targetCollection.
+    async prepareDocument(doc, redact, ctx) {
+        const redacted = redact(doc);
+        if (!hasHooks(this)) {
+            return { documents: [redacted], target: this.collection };
+        }
+
+        const result = await applyHooks(redacted, this, ctx);
+        return { documents: result.documents, target: result.ctx.targetCollection || this.collection };
+    }
+
+    targetCollection(name) {
+        return name === this.collection ? this.coll : this.db.collection(name);
+    }
+
+    // Read a chunk file into per-target-collection batches of at most batchSize
+    // entries, handing each full batch to write(batch, coll)
+    async readIntoBatches(chunkInfo, toEntry, write) {
+        const { filePath, format, compressed } = chunkInfo;
+        const redact = this.redactFunction();
+        const ctx = this.getHookContext(chunkInfo);
+        const batches = new Map();
+        let read = 0;
+        let dropped = 0;
+
+        const flush = async (target) => {
+            await write(batches.get(target), this.targetCollection(target));
+            batches.set(target, []);
+        };
+
+        for await (const doc of readChunk(filePath, { format, compressed })) {
+            throwIfCancelled(this.signal);
+            read++;
+            const entry = toEntry(doc);
+            const { documents, target } = await this.prepareDocument(doc, redact, ctx);
+            if (documents.length === 0) {
+                dropped++;
+                continue;
+            }
+
+            const batch = batches.get(target) || [];
+            batch.push(...documents.map(document => ({ ...entry, document })));
+            batches.set(target, batch);
+
+            if (batch.length >= this.batchSize) {
+                await flush(target);
+            }
+        }
+
+        for (const [target, batch] of batches) {
+            if (batch.length > 0) {
+                await flush(target);
+            }
+        }
+
+        const others = Array.from(batches.keys()).filter(target => target !== this.collection);
+        return { read, dropped, others };
+    }
+
+    hookNotes({ dropped, others }) {
+        const notes = [];
+        if (dropped > 0) notes.push(`${dropped.toLocaleString()} dropped by hooks`);
+        if (others.length > 0) notes.push(`routed to ${others.join(', ')}`);
+        return notes.map(note => `, ${note}`).join('');
+    }
+
+    async restoreChunkNative(chunkInfo, chunkIndex, totalChunks) {
+        const { monthKey } = chunkInfo;
+
+        this.logger.log(`[${chunkIndex + 1}/${totalChunks}] Restoring ${this.chunkLabel(monthKey)}...`);
+
+        let inserted = 0;
+        let duplicates = 0;
+
+        const summary = await this.readIntoBatches(chunkInfo, () => ({}), async (batch, coll) => {
+            const result = await this.insertBatch(batch.map(entry => entry.document), coll);
+            inserted += result.inserted;
+            duplicates += result.duplicates;
+        });
+        const { read } = summary;
+
+        const duplicateNote = duplicates > 0 ? `, ${duplicates.toLocaleString()} duplicates skipped` : '';
+        this.logger.log(`  ✓ ${this.parallel > 1 ? this.chunkLabel(monthKey) : 'Completed'}: ${inserted.toLocaleString()} of ${read.toLocaleString()} documents inserted${duplicateNote}${this.hookNotes(summary)}`);
+        if (chunkInfo.expectedDocuments !== undefined && read !== chunkInfo.expectedDocuments) {
+            this.logger.log(`  ⚠ Manifest lists ${chunkInfo.expectedDocuments.toLocaleString()} documents for ${monthKey}, read ${read.toLocaleString()}`);
+        }
+        return { monthKey, documents: inserted, read, duplicates };
+    }
+
+    // Upsert each changed document unless the target already holds a version at least
+    // as new; a base chunk dumped after the delta must not be rolled back. Each entry
+    // carries the version read from the chunk, before redaction and hooks.
+    async upsertBatch(entries, field, coll = this.coll) {
+        const operations = entries.map(({ document, version }) => ({
+            replaceOne: { filter: newerVersionFilter(document._id, field, version), replacement: document, upsert: true }
+        }));
+
+        try {
+            const result = await coll.bulkWrite(operations, { ordered: false });
+            return { applied: result.upsertedCount + result.modifiedCount, superseded: 0 };
+        } catch (error) {
+            if (!(error instanceof MongoBulkWriteError)) {
+                throw error;
+            }
+
+            // The upsert collides with the existing _id when the stored version is newer,
+            // but also when another write inserted the _id after the filter missed it
+            const writeErrors = [].concat(error.writeErrors || []);
+            const otherErrors = writeErrors.filter(writeError => writeError.code !== DUPLICATE_KEY_ERROR);
+            if (otherErrors.length > 0 || writeErrors.length === 0) {
+                throw new Error(`Delta upsert failed: ${otherErrors.length > 0 ? otherErrors[0].errmsg : error.message}`);
+            }
+
+            const result = error.result;
+            const retried = await this.replaceIfNewer(writeErrors.map(writeError => entries[writeError.index]), field, coll);
+            return {
+                applied: (result ? result.upsertedCount + result.modifiedCount : 0) + retried.applied,
+                superseded: retried.superseded
+            };
+        }
+    }
+
+    // Second attempt for upserts that hit an existing _id. The document exists now, so
+    // a plain replace with the same version filter tells a newer stored copy (no match)
+    // from one that was inserted concurrently and is older (replaced)
+    async replaceIfNewer(entries, field, coll) {
+        const operations = entries.map(({ document, version }) => ({
+            replaceOne: { filter: newerVersionFilter(document._id, field, version), replacement: document }
+        }));
+
+        try {
+            const result = await coll.bulkWrite(operations, { ordered: false });
+            return { applied: result.matchedCount, superseded: entries.length - result.matchedCount };
+        } catch (error) {
+            throw new Error(`Delta upsert failed: ${error.message}`);
+        }
+    }
+
+    async applyDelta(chunkInfo, chunkIndex, totalChunks) {
+        const { monthKey, field } = chunkInfo;
+
+        this.logger.log(`[${chunkIndex + 1}/${totalChunks}] Applying ${this.chunkLabel(monthKey)} (changes to '${field}')...`);
+
+        let applied = 0;
+        let superseded = 0;
+
+        const summary = await this.readIntoBatches(chunkInfo, doc => ({ version: fieldValue(doc, field) }), async (batch, coll) => {
+            const result = await this.upsertBatch(batch, field, coll);
+            applied += result.applied;
+            superseded += result.superseded;
+        });
+        const { read } = summary;
+
+        const supersededNote = superseded > 0 ? `, ${superseded.toLocaleString()} already newer` : '';
+        this.logger.log(`  ✓ ${this.parallel > 1 ? this.chunkLabel(monthKey) : 'Completed'}: ${applied.toLocaleString()} of ${read.toLocaleString()} changes applied${supersededNote}${this.hookNotes(summary)}`);
+        return { monthKey, documents: applied, read, superseded };
+    }
+
+    // Prefer a capture of just this collection over a database-wide one
+    async findChangeLog() {
+        for (const collection of [this.collection, null]) {
+            const changeLog = new ChangeLog(changeLogDir(this.inputDir, this.database, collection));
+            if (await changeLog.read()) {
+                return changeLog;
+            }
+        }
+        return null;
+    }
+
+    // Translate a captured change event into the write that reproduces it
+    changeEventOperation(event) {
+        const filter = { _id: event.documentKey._id };
+
+        switch (event.operationType) {
+            case 'insert':
+            case 'replace':
+                return { replaceOne: { filter, replacement: this.redactFunction()(event.fullDocument), upsert: true } };
+            case 'delete':
+                return { deleteOne: { filter } };
+            case 'update': {
+                const { removedFields = [], truncatedArrays = [] } = event.updateDescription;
+                let updatedFields = event.updateDescription.updatedFields || {};
+                if (this.redactor) {
+                    updatedFields = this.redactor.redactUpdatedFields(this.collection, updatedFields);
+                }
+                const update = {};
+                if (Object.keys(updatedFields).length > 0) {
+                    update.$set = updatedFields;
+                }
+                if (removedFields.length > 0) {
+                    update.$unset = Object.fromEntries(removedFields.map(field => [field, '']));
+                }
+                if (truncatedArrays.length > 0) {
+                    update.$push = Object.fromEntries(truncatedArrays.map(({ field, newSize }) => [field, { $each: [], $slice: newSize }]));
+                }
+                return Object.keys(update).length > 0 ? { updateOne: { filter, update } } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Replaying only gives the state at --until when the capture started before every
+    // chunk was read and --until is not older than any chunk. Checked before anything
+    // is restored; --allow-replay-gap turns the refusal into a warning
+    async checkReplayWindow(chunks) {
+        const problems = [];
+        const undated = chunks.filter(chunk => !chunk.dumpedAt);
+        const dumpTimes = chunks.filter(chunk => chunk.dumpedAt).map(chunk => new Date(chunk.dumpedAt));
+
+        if (undated.length > 0) {
+            problems.push(`${undated.length} chunk(s) have no recorded dump time (backups made before manifest.json existed)`);
+        }
+
+        if (dumpTimes.length > 0) {
+            const firstDump = new Date(Math.min(...dumpTimes));
+            const lastDump = new Date(Math.max(...dumpTimes));
+
+            const changeLog = await this.findChangeLog();
+            const data = changeLog ? await changeLog.read() : null;
+            // Captures from older versions lack startedAt; their first event is the earliest known point
+            const captureStart = data && (data.startedAt || (data.segments.length > 0 ? data.segments[0].firstEventAt : null));
+            if (captureStart && new Date(captureStart) > firstDump) {
+                problems.push(`the change capture starts at ${captureStart}, after a chunk dumped at ${firstDump.toISOString()}; changes in between are missing`);
+            }
+            if (this.until < lastDump) {
+                problems.push(`--until ${this.until.toISOString()} is before a chunk dumped at ${lastDump.toISOString()}; the restored data would be newer than --until`);
+            }
+        }
+
+        if (problems.length === 0) return;
+
+        const message = `Changes replayed onto ${this.database}.${this.collection} would not give its state at ${this.until.toISOString()}: ${problems.join('; ')}`;
+        if (!this.allowReplayGap) {
+            throw new Error(`${message}. Rerun with --allow-replay-gap to replay anyway`);
+        }
+        this.logger.log(`⚠ ${message}; replaying anyway (--allow-replay-gap)`);
+    }
+
+    // Replay captured change events up to --until on top of the restored chunks.
+    // Events are applied in capture order; checkReplayWindow makes sure the capture
+    // covers the base dump.
+    async replayChanges() {
+        const changeLog = await this.findChangeLog();
+        if (!changeLog) {
+            this.logger.log(`⚠ No captured changes found for ${this.database}.${this.collection}; restored state is the base dump`);
+            return { applied: 0, skipped: 0, lastEventAt: null };
+        }
+
+        this.logger.log(`\nReplaying changes up to ${this.until.toISOString()} from ${changeLog.dir}...`);
+
+        let applied = 0;
+        let skipped = 0;
+        let lastEventAt = null;
+        let batch = [];
+
+        const flush = async () => {
+            await this.coll.bulkWrite(batch, { ordered: true });
+            applied += batch.length;
+            batch = [];
+            this.logger.write(`\r  Applied ${applied.toLocaleString()} events`);
+        };
+
+        for await (const event of changeLog.readEvents()) {
+            throwIfCancelled(this.signal);
+            const time = eventTime(event);
+            if (time > this.until) break;
+
+            if (!event.ns || event.ns.db !== this.database || event.ns.coll !== this.collection) {
+                continue;
+            }
+
+            const operation = this.changeEventOperation(event);
+            if (!operation) {
+                skipped++;
+                this.logger.log(`\n  ⚠ Skipped '${event.operationType}' event at ${time.toISOString()}`);
+                continue;
+            }
+
+            batch.push(operation);
+            lastEventAt = time;
+            if (batch.length >= this.batchSize) {
+                await flush();
+            }
+        }
+
+        if (batch.length > 0) {
+            await flush();
+        }
+
+        this.logger.log(`\n✓ Replayed ${applied.toLocaleString()} events${lastEventAt ? `, last at ${lastEventAt.toISOString()}` : ''}`);
+        if (!lastEventAt || lastEventAt < this.until) {
+            const data = await changeLog.read();
+            const capturedUntil = data.segments.length > 0 ? data.segments[data.segments.length - 1].lastEventAt : null;
+            if (capturedUntil && new Date(capturedUntil) < this.until) {
+                this.logger.log(`⚠ Capture only reaches ${capturedUntil}; later changes are not restored`);
+            }
+        }
+
+        this.report('changes.replayed', { applied, skipped, lastEventAt, until: this.until });
+        return { applied, skipped, lastEventAt };
+    }
+
+    async restoreChunkMongorestore(chunkInfo, chunkIndex, totalChunks) {
         const { monthKey, chunkDir } = chunkInfo;
         
-        console.log(`[${chunkIndex + 1}/${totalChunks}] Restoring ${monthKey}...`);
+        this.logger.log(`[${chunkIndex + 1}/${totalChunks}] Restoring ${this.chunkLabel(monthKey)}...`);
 
         // Build mongorestore command arguments
         const args = [
@@ -342,7 +1037,7 @@ class MongoRestorer {
                 }
             }
 
-            console.log(`  ✓ Completed: ${docCount.toLocaleString()} documents`);
+            this.logger.log(`  ✓ ${this.parallel > 1 ? this.chunkLabel(monthKey) : 'Completed'}: ${docCount.toLocaleString()} documents`);
             return { monthKey, documents: docCount };
 
         } catch (error) {
@@ -354,214 +1049,277 @@ class MongoRestorer {
         return await this.run();
     }
 
-    async restoreSpecificChunks(monthKeys) {
+    async restoreSpecificChunks(periodKeys) {
+        return await this.reportCollection(() => this.restorePeriods(periodKeys));
+    }
+
+    async restorePeriods(periodKeys) {
         try {
             await this.connect();
+            await this.loadRedactor();
 
             if (this.drop) {
-                console.log(`Dropping collection ${this.database}.${this.collection}...`);
+                this.logger.log(`Dropping collection ${this.database}.${this.collection}...`);
                 await this.coll.drop().catch(() => {});
-                console.log('✓ Collection dropped');
+                this.logger.log('✓ Collection dropped');
             }
 
             // Load indexes to restore (unless skipped)
             const indexes = this.skipIndexRestoration ? [] : await this.loadIndexes();
 
+            // Requested keys already say which granularity to use
+            const requestedUnits = new Set(periodKeys.filter(isPeriodKey).map(unitOfKey));
+            if (!this.splitBy && requestedUnits.size === 1) {
+                this.splitBy = Array.from(requestedUnits)[0];
+            }
+
             const chunks = await this.findDumpChunks();
-            const targetChunks = chunks.filter(chunk => monthKeys.includes(chunk.monthKey));
+            // A period key selects all of its parts when the period was subdivided
+            const targetChunks = chunks.filter(chunk =>
+                periodKeys.includes(chunk.periodKey) || periodKeys.includes(chunk.monthKey)
+            );
 
             if (targetChunks.length === 0) {
-                console.log(`No chunks found for specified months: ${monthKeys.join(', ')}`);
-                return;
+                this.logger.log(`No chunks found for specified periods: ${periodKeys.join(', ')}`);
+                return this.collectionResult([]);
             }
 
-            console.log(`Found ${targetChunks.length} chunks to restore for months: ${monthKeys.join(', ')}`);
-
-            const results = [];
-            for (let i = 0; i < targetChunks.length; i++) {
-                const chunkInfo = targetChunks[i];
-                
-                try {
-                    const result = await this.restoreChunk(chunkInfo, i, targetChunks.length);
-                    results.push(result);
-
-                    // Show overall progress
-                    const overallPercent = ((i + 1) / targetChunks.length * 100).toFixed(1);
-                    console.log(`Overall Progress: ${i + 1}/${targetChunks.length} chunks completed (${overallPercent}%)`);
-
-                } catch (error) {
-                    console.error(`\n✗ Error processing ${chunkInfo.monthKey}:`, error.message);
-                    throw error;
-                }
+            this.logger.log(`Found ${targetChunks.length} chunks to restore for periods: ${periodKeys.join(', ')}`);
+            if ((await this.findDeltas()).length > 0) {
+                this.logger.log('ℹ️  Incremental deltas are only applied by a full restore; changes made after these chunks were dumped are not included');
             }
 
+            const results = await this.restoreChunks(targetChunks);
+
             // Restore indexes after all data is restored (unless skipped)
             if (!this.skipIndexRestoration) {
                 await this.restoreIndexes(indexes);
             }
 
-            console.log('\n\n=== SELECTIVE RESTORE COMPLETED ===');
-            console.log(`Total chunks processed: ${results.length}`);
-            console.log(`Total documents restored: ${results.reduce((sum, r) => sum + r.documents, 0).toLocaleString()}`);
-            console.log(`Target collection: ${this.database}.${this.collection}`);
+            this.logger.log('\n\n=== SELECTIVE RESTORE COMPLETED ===');
+            this.logger.log(`Total chunks processed: ${results.length}`);
+            this.logger.log(`Total documents restored: ${results.reduce((sum, r) => sum + r.documents, 0).toLocaleString()}`);
+            this.logger.log(`Target collection: ${this.database}.${this.collection}`);
+
+            return this.collectionResult(results);
 
         } finally {
             await this.disconnect();
         }
     }
 
+    // Restore one collection; resolves with its result (see collectionResult)
     async run() {
+        return await this.reportCollection(() => this.restoreCollection());
+    }
+
+    async restoreCollection() {
         try {
             await this.connect();
+            await this.loadRedactor();
 
             if (this.drop) {
-                console.log(`Dropping collection ${this.database}.${this.collection}...`);
+                this.logger.log(`Dropping collection ${this.database}.${this.collection}...`);
                 await this.coll.drop().catch(() => {});
-                console.log('✓ Collection dropped');
+                this.logger.log('✓ Collection dropped');
             }
 
             // Load indexes to restore (unless skipped)
             const indexes = this.skipIndexRestoration ? [] : await this.loadIndexes();
 
             const state = await this.loadState();
-            console.log(`Resuming from state: ${state.restoredFiles.length} chunks completed`);
+            this.logger.log(`Resuming from state: ${state.restoredFiles.length} chunks completed`);
 
-            const chunks = await this.findDumpChunks();
+            const baseChunks = await this.findDumpChunks();
+
+            if (baseChunks.length === 0) {
+                this.logger.log('No dump chunks found to restore');
+                return this.collectionResult([]);
+            }
+
+            const deltas = await this.findDeltas();
+            if (deltas.length > 0) {
+                this.logger.log(`✓ Found ${deltas.length} incremental deltas`);
+            }
+            const chunks = [...baseChunks, ...deltas];
 
-            if (chunks.length === 0) {
-                console.log('No dump chunks found to restore');
-                return;
+            if (this.until) {
+                await this.checkReplayWindow(chunks);
             }
 
             const pendingChunks = chunks.filter(chunk => 
                 !state.restoredFiles.includes(chunk.monthKey)
             );
 
-            console.log(`Total chunks to process: ${chunks.length}`);
-            console.log(`Pending chunks: ${pendingChunks.length}`);
+            this.logger.log(`Total chunks to process: ${chunks.length}`);
+            this.logger.log(`Pending chunks: ${pendingChunks.length}`);
 
             if (pendingChunks.length === 0) {
-                console.log('✓ All chunks already restored!');
+                this.logger.log('✓ All chunks already restored!');
+                const replay = this.until ? await this.replayChanges() : null;
                 // Still restore indexes if they haven't been restored yet (unless skipped)
                 if (!this.skipIndexRestoration) {
                     await this.restoreIndexes(indexes);
                 }
-                return;
+                return this.collectionResult([], replay);
             }
 
-            const results = [];
-            for (let i = 0; i < pendingChunks.length; i++) {
-                const chunkInfo = pendingChunks[i];
-                
-                try {
-                    const result = await this.restoreChunk(chunkInfo, i, pendingChunks.length);
-                    results.push(result);
-
-                    // Update state after processing chunk
-                    state.restoredFiles.push(chunkInfo.monthKey);
-                    state.lastProcessed = new Date().toISOString();
-                    await this.saveState(state);
+            // Update state after each chunk; saves are serialized by the state file lock
+            const recordRestored = async (chunkInfo) => {
+                state.restoredFiles.push(chunkInfo.monthKey);
+                state.lastProcessed = new Date().toISOString();
+                await this.saveState(state);
+            };
 
-                    // Show overall progress
-                    const overallPercent = ((i + 1) / pendingChunks.length * 100).toFixed(1);
-                    console.log(`Overall Progress: ${i + 1}/${pendingChunks.length} chunks completed (${overallPercent}%)`);
+            // Deltas go on top of every base chunk, so they start once those are in, and
+            // are applied one at a time in sequence order: two deltas upserting the same
+            // missing _id at once would race
+            const results = [
+                ...await this.restoreChunks(pendingChunks.filter(chunk => !chunk.delta), recordRestored),
+                ...await this.restoreChunks(pendingChunks.filter(chunk => chunk.delta), recordRestored, { inOrder: true })
+            ];
 
-                } catch (error) {
-                    console.error(`\n✗ Error processing ${chunkInfo.monthKey}:`, error.message);
-                    throw error;
-                }
-            }
+            const replay = this.until ? await this.replayChanges() : null;
 
             // Restore indexes after all data is restored (unless skipped)
             if (!this.skipIndexRestoration) {
                 await this.restoreIndexes(indexes);
             }
 
-            console.log('\n\n=== RESTORE COMPLETED ===');
-            console.log(`Total chunks processed: ${results.length}`);
-            console.log(`Total documents restored: ${results.reduce((sum, r) => sum + r.documents, 0).toLocaleString()}`);
-            console.log(`Target collection: ${this.database}.${this.collection}`);
+            this.logger.log('\n\n=== RESTORE COMPLETED ===');
+            this.logger.log(`Total chunks processed: ${results.length}`);
+            this.logger.log(`Total documents restored: ${results.reduce((sum, r) => sum + r.documents, 0).toLocaleString()}`);
+            if (replay) {
+                this.logger.log(`Change events replayed: ${replay.applied.toLocaleString()} (up to ${this.until.toISOString()})`);
+            }
+            this.logger.log(`Target collection: ${this.database}.${this.collection}`);
 
-            if (state.restoredFiles.length === chunks.length) {
-                await fs.unlink(this.stateFile).catch(() => {});
-                console.log('✓ Clean completion - state file removed');
+            if (chunks.every(chunk => state.restoredFiles.includes(chunk.monthKey))) {
+                await this.stateStore.removeEntries(this.getStateScope());
+                this.logger.log('✓ Clean completion - state entry removed');
             }
 
+            return this.collectionResult(results, replay);
         } finally {
             await this.disconnect();
         }
     }
 
-    async restoreAllCollections(months = null) {
+    // Resolves with { database, targetDatabase, status, collections, documents, bytes, durationMs }, where
+    // collections holds each restored collection's result or { collection, status: 'failed', error }
+    // and status is completed, partial or failed. Under fail-fast, and when cancelled, the
+    // error carries it as .result
+    async restoreAllCollections(periods = null) {
+        const startedAt = Date.now();
+        const allResult = (collections) => ({
+            database: this.database,
+            targetDatabase: this.targetDatabase,
+            status: runStatus(collections),
+            collections,
+            documents: collections.reduce((sum, coll) => sum + (coll.documents || 0), 0),
+            bytes: collections.reduce((sum, coll) => sum + (coll.bytes || 0), 0),
+            durationMs: Date.now() - startedAt
+        });
+
         try {
             await this.connect();
+            await this.loadRedactor();
 
             const collections = await this.discoverCollections();
             
             if (collections.length === 0) {
-                console.log('No collections found in dump directory');
-                return;
+                this.logger.log('No collections found in dump directory');
+                return allResult([]);
             }
 
-            console.log(`\nRestoring ${collections.length} collections...`);
-            
-            const results = [];
-            
-            for (let collIndex = 0; collIndex < collections.length; collIndex++) {
-                const collectionName = collections[collIndex];
-                console.log(`\n[${collIndex + 1}/${collections.length}] === Restoring collection: ${collectionName} ===`);
+            this.logger.log(`\nRestoring ${collections.length} collections${this.parallel > 1 ? ` (up to ${this.parallel} chunks at a time)` : ''}...`);
+
+            // Each collection gets its own restorer so several can run at once. They share
+            // this restorer's chunk pool, which keeps the overall limit at --parallel.
+            const collectionPool = new WorkerPool({ concurrency: this.parallel, errorPolicy: this.errorPolicy });
+            const settled = await collectionPool.settle(collections, async (collectionName, collIndex) => {
+                throwIfCancelled(this.signal);
+                this.logger.log(`\n[${collIndex + 1}/${collections.length}] === Restoring collection: ${collectionName} ===`);
                 
                 // Create a new restorer instance for this collection
                 const collectionOptions = {
                     ...this.options,
                     collection: collectionName,
-                    targetDatabase: this.targetDatabase
+                    targetDatabase: this.targetDatabase,
+                    // The URI built (and any password prompted for) by this restorer
+                    uri: this.uri,
+                    redactor: this.redactor,
+                    pool: this.pool,
+                    events: this.events
                 };
                 
                 const collectionRestorer = new MongoRestorer(collectionOptions);
                 
                 try {
-                    if (months) {
-                        await collectionRestorer.restoreSpecificChunks(months);
-                    } else {
-                        await collectionRestorer.run();
-                    }
-                    
-                    results.push({
-                        collection: collectionName,
-                        status: 'completed'
-                    });
-                    
-                    console.log(`✓ Collection ${collectionName} restored successfully`);
-                    
+                    const result = periods
+                        ? await collectionRestorer.restoreSpecificChunks(periods)
+                        : await collectionRestorer.run();
+                    this.logger.log(`✓ Collection ${collectionName} restored successfully`);
+                    return result;
                 } catch (error) {
-                    console.error(`✗ Error restoring collection ${collectionName}:`, error.message);
-                    results.push({
-                        collection: collectionName,
-                        status: 'failed',
-                        error: error.message
-                    });
+                    if (!error.cancelled) {
+                        this.logger.error(`✗ Error restoring collection ${collectionName}:`, error.message);
+                    }
+                    throw error;
                 }
-            }
+            });
+
+            const results = settled.map((result, index) => {
+                if (result.status === 'fulfilled') {
+                    return result.value;
+                }
+                return {
+                    database: this.database,
+                    targetDatabase: this.targetDatabase,
+                    collection: collections[index],
+                    status: result.reason.cancelled ? 'cancelled' : 'failed',
+                    error: errorMessage(result.reason)
+                };
+            });
 
-            console.log('\n\n=== ALL COLLECTIONS RESTORE SUMMARY ===');
-            console.log(`Total collections processed: ${results.length}`);
+            this.logger.log('\n\n=== ALL COLLECTIONS RESTORE SUMMARY ===');
+            this.logger.log(`Total collections processed: ${results.length}`);
             
             const successful = results.filter(r => r.status === 'completed');
             const failed = results.filter(r => r.status === 'failed');
             
-            console.log(`Successful: ${successful.length}`);
+            this.logger.log(`Successful: ${successful.length}`);
             if (successful.length > 0) {
-                successful.forEach(r => console.log(`  ✓ ${r.collection}`));
+                successful.forEach(r => this.logger.log(`  ✓ ${r.collection}`));
             }
             
             if (failed.length > 0) {
-                console.log(`Failed: ${failed.length}`);
-                failed.forEach(r => console.log(`  ✗ ${r.collection}: ${r.error}`));
+                this.logger.log(`Failed: ${failed.length}`);
+                failed.forEach(r => this.logger.log(`  ✗ ${r.collection}: ${r.error}`));
+            }
+
+            const cancelled = results.filter(r => r.status === 'cancelled');
+            if (cancelled.length > 0) {
+                this.logger.log(`Cancelled: ${cancelled.length} (${cancelled.map(r => r.collection).join(', ')})`);
             }
             
-            console.log(`Target database: ${this.targetDatabase}`);
+            this.logger.log(`Target database: ${this.targetDatabase}`);
+
+            if (cancelled.length > 0) {
+                const error = cancelledError();
+                error.result = allResult(results);
+                throw error;
+            }
+
+            // Under continue, the other collections carry on past a failed one
+            const failures = failuresOf(settled, collections);
+            if (failures.length > 0 && this.errorPolicy === 'fail-fast') {
+                const error = new Error(`Stopped after ${failures[0].label} failed: ${failures[0].error.message}`);
+                error.result = allResult(results);
+                throw error;
+            }
 
+            return allResult(results);
         } finally {
             await this.disconnect();
         }
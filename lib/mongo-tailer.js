@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeChunk } = require('./chunk-io');
+const { redactUri } = require('./manifest');
+const { ChangeLog, changeLogDir, eventTime, segmentFilename } = require('./change-log');
+const { MongoDumper } = require('./mongo-dumper');
+const { createLogger } = require('./event-log');
+
+// Captures a change stream into rotating segment files so a restore can replay
+// events past the last snapshot (point-in-time recovery)
+class MongoTailer {
+    constructor(options) {
+        this.options = options;
+        this.database = options.database;
+        this.collection = options.collection || null;
+        this.outputDir = options.outputDir || './dump-backup';
+        this.segmentEvents = options.segmentEvents || 100000;
+        this.segmentMinutes = options.segmentMinutes || 60;
+        // Console-like sink for the human-readable output; silent drops it
+        this.logger = createLogger({ logger: options.logger, silent: options.silent });
+        this.changeLog = new ChangeLog(changeLogDir(this.outputDir, this.database, this.collection));
+        this.stopping = false;
+        this.stream = null;
+    }
+
+    // Finish the current segment and return from run()
+    stop() {
+        this.stopping = true;
+    }
+
+    // Pull events until the segment is full, old enough, or tail is stopped.
+    // tryNext() returns null after each empty await period, so quiet streams
+    // still rotate and notice stop()
+    async *segmentEventsFrom(stream, segment) {
+        const deadline = Date.now() + this.segmentMinutes * 60000;
+
+        while (!this.stopping && segment.events < this.segmentEvents && Date.now() < deadline) {
+            const event = await stream.tryNext();
+            if (!event) continue;
+
+            const time = eventTime(event).toISOString();
+            segment.firstEventAt = segment.firstEventAt || time;
+            segment.lastEventAt = time;
+            segment.events++;
+            segment.resumeToken = event._id;
+            yield event;
+
+            if (event.operationType === 'invalidate') {
+                this.logger.log(`⚠ Change stream invalidated (collection dropped or renamed); stopping`);
+                this.stopping = true;
+            }
+        }
+    }
+
+    async writeSegment(stream, sequence) {
+        const file = segmentFilename(sequence);
+        const filePath = path.join(this.changeLog.dir, file);
+        const segment = { events: 0, firstEventAt: null, lastEventAt: null, resumeToken: null };
+
+        const result = await writeChunk(this.segmentEventsFrom(stream, segment), filePath, { format: 'json', compress: true });
+
+        if (segment.events === 0) {
+            await fs.unlink(filePath).catch(() => {});
+            return null;
+        }
+
+        const record = {
+            sequence,
+            file,
+            events: segment.events,
+            bytes: result.bytes,
+            firstEventAt: segment.firstEventAt,
+            lastEventAt: segment.lastEventAt,
+            closedAt: new Date().toISOString()
+        };
+        await this.changeLog.recordSegment(this.getChangeLogHeader(), record, segment.resumeToken);
+
+        this.logger.log(`✓ Segment ${file}: ${segment.events.toLocaleString()} events (${segment.firstEventAt} to ${segment.lastEventAt})`);
+        return record;
+    }
+
+    getChangeLogHeader() {
+        return {
+            database: this.database,
+            collection: this.collection,
+            // When the stream was opened, so restore can tell whether the capture covers a dump
+            startedAt: this.startedAt,
+            source: { uri: redactUri(this.dumper.uri) }
+        };
+    }
+
+    async run() {
+        // MongoDumper supplies the connection handling
+        this.dumper = new MongoDumper({ ...this.options, collection: this.collection || undefined });
+        await fs.mkdir(this.changeLog.dir, { recursive: true });
+
+        const removed = await this.changeLog.removePartialSegments();
+        if (removed > 0) {
+            this.logger.log(`Discarded ${removed} unfinished segment(s); their events are re-read from the resume token`);
+        }
+
+        const data = await this.changeLog.read();
+        const resumeToken = await this.changeLog.getResumeToken();
+        let sequence = data ? data.segments.length : 0;
+
+        await this.dumper.connect();
+
+        const target = this.collection ? this.dumper.coll : this.dumper.db;
+        const namespace = this.collection ? `${this.database}.${this.collection}` : this.database;
+        const watchOptions = { maxAwaitTimeMS: 1000 };
+        if (resumeToken) {
+            watchOptions.resumeAfter = resumeToken;
+        }
+
+        const segments = [];
+        try {
+            this.startedAt = new Date().toISOString();
+            this.stream = target.watch([], watchOptions);
+            this.logger.log(`${resumeToken ? 'Resuming' : 'Starting'} change capture on ${namespace} -> ${this.changeLog.dir}`);
+            this.logger.log(`Rotating segments every ${this.segmentEvents.toLocaleString()} events or ${this.segmentMinutes} minutes; press Ctrl+C to stop`);
+
+            while (!this.stopping) {
+                const segment = await this.writeSegment(this.stream, sequence + 1);
+                if (segment) {
+                    segments.push(segment);
+                    sequence++;
+                }
+            }
+        } catch (error) {
+            if (error.codeName === 'ChangeStreamHistoryLost' || error.code === 286) {
+                throw new Error(`Resume token is no longer in the oplog; start a new capture with a fresh base dump (${error.message})`);
+            }
+            throw error;
+        } finally {
+            if (this.stream) {
+                await this.stream.close().catch(() => {});
+            }
+            await this.dumper.disconnect();
+        }
+
+        const events = segments.reduce((sum, segment) => sum + segment.events, 0);
+        this.logger.log(`\n=== TAIL STOPPED ===`);
+        this.logger.log(`Segments written: ${segments.length}`);
+        this.logger.log(`Events captured: ${events.toLocaleString()}`);
+
+        return { segments, events };
+    }
+}
+
+module.exports = { MongoTailer };
\ No newline at end of file
@@ -0,0 +1,273 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BSON } = require('mongodb');
+const { digestDocuments, parseChunkFilename, readChunk } = require('./chunk-io');
+const { Manifest, sha256File } = require('./manifest');
+const { MongoDumper } = require('./mongo-dumper');
+const { createLogger } = require('./event-log');
+const { UNBUCKETED_KEY, isChunkKey, periodOfChunkKey } = require('./periods');
+
+class MongoVerifier {
+    constructor(options) {
+        this.options = options;
+        this.database = options.database;
+        this.collection = options.collection;
+        this.inputDir = options.inputDir || './dump-backup';
+        this.periods = options.periods || null;
+        this.live = options.live || false;
+        // Add chunks of backups made before manifest.json existed to the manifest
+        this.adoptLegacy = options.adoptLegacy || false;
+        // Console-like sink for the human-readable output; silent drops it
+        this.logger = createLogger({ logger: options.logger, silent: options.silent });
+        this.manifest = new Manifest(this.inputDir);
+    }
+
+    selectChunks(chunks) {
+        if (!this.periods) return chunks;
+        return chunks.filter(chunk => this.periods.includes(chunk.period) || this.periods.includes(chunk.key));
+    }
+
+    // Count the documents and digest their content; archive compares the digest with
+    // the live range before deleting it
+    async digestChunkDocuments(filePath, chunk) {
+        return await digestDocuments(readChunk(filePath, {
+            format: chunk.format,
+            compressed: chunk.compression === 'gzip'
+        }));
+    }
+
+    async verifyChunk(chunk, liveDumper) {
+        const filePath = this.manifest.resolveChunkPath(chunk);
+        const errors = [];
+        const verification = { verifiedAt: new Date().toISOString() };
+
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats) {
+            errors.push('File is missing');
+        } else {
+            if (stats.size !== chunk.bytes) {
+                errors.push(`Size ${stats.size} does not match manifest (${chunk.bytes})`);
+            }
+
+            verification.sha256 = await sha256File(filePath);
+            if (verification.sha256 !== chunk.sha256) {
+                errors.push('SHA-256 does not match manifest');
+            }
+
+            // Parse every document; a truncated or corrupt stream fails here
+            try {
+                const { documents, digest } = await this.digestChunkDocuments(filePath, chunk);
+                verification.documents = documents;
+                verification.digest = digest;
+                const expected = chunk.dumpedDocuments !== undefined ? chunk.dumpedDocuments : chunk.documents;
+                if (verification.documents !== expected) {
+                    errors.push(`Contains ${verification.documents} documents, manifest lists ${expected}`);
+                }
+            } catch (error) {
+                errors.push(`Failed to read chunk: ${error.message}`);
+            }
+        }
+
+        if (liveDumper) {
+            verification.liveDocuments = await liveDumper.getChunkDocumentCount(liveDumper.rangeOfManifestChunk(chunk));
+            if (verification.documents !== undefined && verification.liveDocuments !== verification.documents) {
+                errors.push(`Source holds ${verification.liveDocuments} documents for this range, chunk has ${verification.documents}`);
+            }
+        }
+
+        verification.status = errors.length === 0 ? 'passed' : 'failed';
+        if (errors.length > 0) {
+            verification.errors = errors;
+        }
+        return verification;
+    }
+
+    async verifyCollection(collectionName) {
+        const entry = await this.manifest.getCollection(this.database, collectionName);
+        if (!entry) {
+            throw new Error(`Collection ${this.database}.${collectionName} is not in the manifest`);
+        }
+
+        const chunks = this.selectChunks(entry.chunks);
+        // Deltas of incremental dumps are restored on top of every chunk, so they are
+        // checked the same way; they belong to no period
+        const deltas = this.periods ? [] : entry.deltas || [];
+        this.logger.log(`\nVerifying ${this.database}.${collectionName}: ${chunks.length} chunks${deltas.length > 0 ? `, ${deltas.length} deltas` : ''}`);
+
+        // Reuse MongoDumper's connection handling and range queries for the live comparison
+        let liveDumper = null;
+        if (this.live && entry.transformed) {
+            this.logger.log(`⚠ ${collectionName} was dumped through filter/transform hooks; skipping the live comparison`);
+        } else if (this.live && !entry.dateField) {
+            this.logger.log(`⚠ ${collectionName} only has chunks adopted from a pre-manifest backup; skipping the live comparison`);
+        } else if (this.live) {
+            liveDumper = new MongoDumper({
+                ...this.options,
+                collection: collectionName,
+                dateField: entry.dateField,
+                dateValues: entry.dateValues,
+                query: entry.query ? BSON.EJSON.deserialize(entry.query) : null,
+                outputDir: this.inputDir
+            });
+            await liveDumper.connect();
+        }
+
+        const results = [];
+        try {
+            const items = [...chunks, ...deltas];
+            for (let i = 0; i < items.length; i++) {
+                const chunk = items[i];
+                const isDelta = i >= chunks.length;
+                // A delta holds changed documents from any range; there is no live count to compare
+                // Adopted legacy chunks have no recorded range either
+                const verification = await this.verifyChunk(chunk, isDelta || chunk.legacy ? null : liveDumper);
+                await this.manifest.recordVerification(this.database, collectionName, chunk.key, verification);
+
+                if (verification.status === 'passed') {
+                    const liveNote = verification.liveDocuments !== undefined ? ', matches source' : '';
+                    this.logger.log(`  [${i + 1}/${items.length}] ✓ ${chunk.key}: ${verification.documents.toLocaleString()} documents${liveNote}`);
+                } else {
+                    this.logger.log(`  [${i + 1}/${items.length}] ✗ ${chunk.key}: ${verification.errors.join('; ')}`);
+                }
+                results.push({ collection: collectionName, key: chunk.key, ...(isDelta ? { delta: true } : {}), ...verification });
+            }
+        } finally {
+            if (liveDumper) {
+                await liveDumper.disconnect();
+            }
+        }
+
+        return results;
+    }
+
+    // Collections with chunk files or mongodump chunk directories in the backup
+    // directory but no manifest entry
+    async findLegacyCollections() {
+        const names = new Set();
+        const items = await fs.readdir(this.inputDir).catch(() => []);
+
+        for (const item of items) {
+            const parsed = parseChunkFilename(item, this.database);
+            if (parsed) {
+                names.add(parsed.collection);
+            } else if (isChunkKey(item)) {
+                const dbFiles = await fs.readdir(path.join(this.inputDir, item, this.database)).catch(() => []);
+                for (const file of dbFiles) {
+                    const match = file.match(/^(.+)\.bson(\.gz)?$/);
+                    if (match) {
+                        names.add(match[1]);
+                    }
+                }
+            }
+        }
+
+        const legacy = [];
+        for (const name of [...names].sort()) {
+            if (!(await this.manifest.getCollection(this.database, name))) {
+                legacy.push(name);
+            }
+        }
+        return legacy;
+    }
+
+    // Record the chunks of a pre-manifest backup once each reads back cleanly, marked
+    // verified so clean can delete them. Their date field and ranges were never
+    // recorded, so they are flagged `legacy`: archive and --live skip them
+    async adoptLegacyCollection(collectionName) {
+        // MongoDumper's scan finds chunks by file name while the collection has no manifest entry
+        const dumper = new MongoDumper({ database: this.database, collection: collectionName, outputDir: this.inputDir, silent: true });
+        const files = await dumper.findBackupFiles();
+        this.logger.log(`\nAdopting ${this.database}.${collectionName}: ${files.length} chunks from a pre-manifest backup`);
+
+        const results = [];
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const parsed = file.layout === 'native' ? parseChunkFilename(path.basename(file.path), this.database) : null;
+            const chunk = {
+                key: file.monthKey,
+                period: periodOfChunkKey(file.monthKey),
+                start: null,
+                end: null,
+                file: file.filename,
+                format: parsed ? parsed.format : 'bson',
+                compression: (parsed ? parsed.compressed : file.path.endsWith('.gz')) ? 'gzip' : 'none',
+                layout: file.layout,
+                legacy: true
+            };
+            if (file.monthKey === UNBUCKETED_KEY) {
+                chunk.unbucketed = true;
+            }
+            if (file.files.length > 1) {
+                chunk.metadataFile = dumper.relativeOutputPath(file.files[1]);
+            }
+
+            const verification = { verifiedAt: new Date().toISOString() };
+            try {
+                chunk.bytes = (await fs.stat(file.path)).size;
+                chunk.sha256 = await sha256File(file.path);
+                const { documents, digest } = await this.digestChunkDocuments(file.path, chunk);
+                chunk.documents = documents;
+                Object.assign(verification, { sha256: chunk.sha256, documents, digest, status: 'passed' });
+            } catch (error) {
+                verification.status = 'failed';
+                verification.errors = [`Failed to read chunk: ${error.message}`];
+                this.logger.log(`  [${i + 1}/${files.length}] ✗ ${chunk.key}: ${verification.errors[0]}; not added to the manifest`);
+                results.push({ collection: collectionName, key: chunk.key, ...verification });
+                continue;
+            }
+
+            await this.manifest.recordChunk({ database: this.database, collection: collectionName }, { ...chunk, verification });
+            this.logger.log(`  [${i + 1}/${files.length}] ✓ ${chunk.key}: ${verification.documents.toLocaleString()} documents, added to the manifest`);
+            results.push({ collection: collectionName, key: chunk.key, adopted: true, ...verification });
+        }
+        return results;
+    }
+
+    async run() {
+        const results = [];
+        let adopted = [];
+        if (this.adoptLegacy) {
+            adopted = (await this.findLegacyCollections())
+                .filter(name => !this.collection || name === this.collection);
+            for (const collectionName of adopted) {
+                results.push(...await this.adoptLegacyCollection(collectionName));
+            }
+        }
+
+        if (!(await this.manifest.exists())) {
+            const hint = this.adoptLegacy ? 'and no chunk files were found' : 'add --adopt-legacy for backups made before it existed';
+            throw new Error(`No manifest found in ${this.inputDir}; only backups with a manifest.json can be verified (${hint})`);
+        }
+
+        // Adopted collections were just read in full
+        const collections = (this.collection
+            ? [this.collection]
+            : await this.manifest.listCollections(this.database)
+        ).filter(name => !adopted.includes(name));
+
+        if (collections.length === 0 && results.length === 0) {
+            this.logger.log(`No collections for database '${this.database}' in manifest`);
+            return { passed: [], failed: [] };
+        }
+
+        for (const collectionName of collections) {
+            results.push(...await this.verifyCollection(collectionName));
+        }
+
+        const passed = results.filter(result => result.status === 'passed');
+        const failed = results.filter(result => result.status === 'failed');
+
+        this.logger.log('\n=== VERIFY SUMMARY ===');
+        const deltaCount = results.filter(result => result.delta).length;
+        this.logger.log(`Chunks verified: ${results.length}${deltaCount > 0 ? ` (${deltaCount} deltas)` : ''}`);
+        this.logger.log(`Passed: ${passed.length}`);
+        if (failed.length > 0) {
+            this.logger.log(`Failed: ${failed.length}`);
+            failed.forEach(result => this.logger.log(`  ✗ ${result.collection} ${result.key}: ${result.errors.join('; ')}`));
+        }
+
+        return { passed, failed };
+    }
+}
+
+module.exports = { MongoVerifier };
\ No newline at end of file
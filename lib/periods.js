@@ -0,0 +1,163 @@
+// Calendar periods used to split a collection into chunks. All boundaries are UTC;
+// weeks are ISO weeks (Monday to Monday) keyed by ISO week-year.
+
+const SPLIT_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Matches a chunk key of any unit: 2024, 2024-Q1, 2024-03, 2024-W09, 2024-03-15
+const PERIOD_KEY_PATTERN = '\\d{4}(?:-Q[1-4]|-W\\d{2}|-\\d{2}(?:-\\d{2})?)?';
+
+// Documents whose split field is missing or can't be read as a date in any period
+const UNBUCKETED_KEY = 'unbucketed';
+
+// A chunk key is a period key, optionally followed by a part suffix when an oversized
+// period was subdivided: 2024-03.part-01, 2024-03.part-02, ... or the unbucketed key
+const CHUNK_KEY_PATTERN = `(?:${PERIOD_KEY_PATTERN}(?:\\.part-\\d{2,})?|${UNBUCKETED_KEY})`;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function assertSplitUnit(unit) {
+    if (!SPLIT_UNITS.includes(unit)) {
+        throw new Error(`Invalid split unit '${unit}'. Expected one of: ${SPLIT_UNITS.join(', ')}`);
+    }
+}
+
+function startOfIsoWeek(date) {
+    const day = date.getUTCDay() || 7; // Sunday counts as the 7th day
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day + 1));
+}
+
+function isoWeekKey(weekStart) {
+    // The ISO week-year is the year holding the week's Thursday
+    const thursday = new Date(weekStart.getTime() + 3 * 86400000);
+    const year = thursday.getUTCFullYear();
+    const firstThursday = new Date(Date.UTC(year, 0, 4));
+    const week = Math.round((startOfIsoWeek(thursday) - startOfIsoWeek(firstThursday)) / (7 * 86400000)) + 1;
+    return `${year}-W${pad(week)}`;
+}
+
+function periodStart(date, unit) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    switch (unit) {
+        case 'day':
+            return new Date(Date.UTC(year, month, date.getUTCDate()));
+        case 'week':
+            return startOfIsoWeek(date);
+        case 'month':
+            return new Date(Date.UTC(year, month, 1));
+        case 'quarter':
+            return new Date(Date.UTC(year, month - (month % 3), 1));
+        case 'year':
+            return new Date(Date.UTC(year, 0, 1));
+        default:
+            assertSplitUnit(unit);
+    }
+}
+
+// Move a period start forwards (or backwards, with a negative count) by whole periods
+function addPeriods(start, unit, count) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const day = start.getUTCDate();
+
+    switch (unit) {
+        case 'day':
+            return new Date(Date.UTC(year, month, day + count));
+        case 'week':
+            return new Date(Date.UTC(year, month, day + 7 * count));
+        case 'month':
+            return new Date(Date.UTC(year, month + count, 1));
+        case 'quarter':
+            return new Date(Date.UTC(year, month + 3 * count, 1));
+        case 'year':
+            return new Date(Date.UTC(year + count, 0, 1));
+        default:
+            assertSplitUnit(unit);
+    }
+}
+
+function nextPeriodStart(start, unit) {
+    return addPeriods(start, unit, 1);
+}
+
+function periodKey(start, unit) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+
+    switch (unit) {
+        case 'day':
+            return `${year}-${pad(month + 1)}-${pad(start.getUTCDate())}`;
+        case 'week':
+            return isoWeekKey(start);
+        case 'month':
+            return `${year}-${pad(month + 1)}`;
+        case 'quarter':
+            return `${year}-Q${Math.floor(month / 3) + 1}`;
+        case 'year':
+            return `${year}`;
+        default:
+            assertSplitUnit(unit);
+    }
+}
+
+function partKey(periodKeyValue, index, total) {
+    const width = Math.max(2, String(total).length);
+    return `${periodKeyValue}.part-${String(index + 1).padStart(width, '0')}`;
+}
+
+// Strip a `.part-NN` suffix, leaving the period the chunk belongs to
+function periodOfChunkKey(key) {
+    return key.replace(/\.part-\d{2,}$/, '');
+}
+
+function unitOfKey(chunkKey) {
+    const key = periodOfChunkKey(chunkKey);
+    if (/^\d{4}$/.test(key)) return 'year';
+    if (/^\d{4}-Q[1-4]$/.test(key)) return 'quarter';
+    if (/^\d{4}-W\d{2}$/.test(key)) return 'week';
+    if (/^\d{4}-\d{2}$/.test(key)) return 'month';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(key)) return 'day';
+    return null;
+}
+
+function isPeriodKey(key) {
+    return unitOfKey(key) !== null;
+}
+
+function isChunkKey(key) {
+    return key === UNBUCKETED_KEY || isPeriodKey(key);
+}
+
+// Every period touching [minDate, maxDate], inclusive of the period holding maxDate
+function generateRanges(minDate, maxDate, unit = 'month') {
+    assertSplitUnit(unit);
+
+    const ranges = [];
+    let current = periodStart(minDate, unit);
+
+    while (current <= maxDate) {
+        const end = nextPeriodStart(current, unit);
+        ranges.push({ start: current, end, key: periodKey(current, unit) });
+        current = end;
+    }
+
+    return ranges;
+}
+
+module.exports = {
+    SPLIT_UNITS,
+    PERIOD_KEY_PATTERN,
+    CHUNK_KEY_PATTERN,
+    UNBUCKETED_KEY,
+    assertSplitUnit,
+    addPeriods,
+    generateRanges,
+    periodKey,
+    partKey,
+    periodOfChunkKey,
+    periodStart,
+    unitOfKey,
+    isPeriodKey,
+    isChunkKey
+};
\ No newline at end of file
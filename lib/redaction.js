@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { BSON } = require('mongodb');
+const { loadConfigFile, interpolateEnv } = require('./config');
+
+const REDACTION_ACTIONS = ['drop', 'hash', 'fake', 'truncate', 'null'];
+const FAKE_TYPES = ['string', 'email', 'name', 'firstName', 'lastName', 'phone', 'number'];
+
+// Rules under this key apply to every collection
+const ALL_COLLECTIONS = '*';
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Okafor', 'Novak', 'Silva', 'Kim', 'Haddad', 'Larsen', 'Patel'];
+
+function validateRule(rule, collection) {
+    const where = `redaction rule for ${collection === ALL_COLLECTIONS ? 'all collections' : collection}`;
+    if (!rule || typeof rule.path !== 'string' || rule.path.length === 0) {
+        throw new Error(`Missing path in ${where}`);
+    }
+    if (!REDACTION_ACTIONS.includes(rule.action)) {
+        throw new Error(`Invalid action '${rule.action}' for '${rule.path}' in ${where}. Expected one of: ${REDACTION_ACTIONS.join(', ')}`);
+    }
+    if (rule.action === 'truncate' && !(Number.isInteger(rule.length) && rule.length >= 0)) {
+        throw new Error(`truncate of '${rule.path}' in ${where} needs a non-negative integer length`);
+    }
+    if (rule.action === 'fake' && rule.type !== undefined && !FAKE_TYPES.includes(rule.type)) {
+        throw new Error(`Invalid fake type '${rule.type}' for '${rule.path}' in ${where}. Expected one of: ${FAKE_TYPES.join(', ')}`);
+    }
+}
+
+// Walk an update key and a rule path side by side. Array indexes in the key match
+// a rule segment that isn't an index, the way rule paths pass through arrays.
+// Returns what is left of each once one runs out, or null when they diverge.
+function matchPath(keySegments, ruleSegments) {
+    let k = 0;
+    let r = 0;
+    while (k < keySegments.length && r < ruleSegments.length) {
+        if (keySegments[k] === ruleSegments[r]) {
+            k++;
+            r++;
+        } else if (/^\d+$/.test(keySegments[k]) && !/^\d+$/.test(ruleSegments[r])) {
+            k++;
+        } else {
+            return null;
+        }
+    }
+    return { keyRest: keySegments.slice(k), ruleRest: ruleSegments.slice(r) };
+}
+
+// Applies drop/hash/fake/truncate/null rules to documents. Paths are dotted and,
+// like MongoDB paths, apply to every element when they pass through an array.
+// Hashes and fakes are keyed by a salt, so the same input always maps to the
+// same output and references between collections still line up.
+class Redactor {
+    constructor({ salt = null, collections = {} } = {}) {
+        this.salt = salt;
+        this.collections = collections;
+
+        const needsSalt = [];
+        for (const [collection, rules] of Object.entries(collections)) {
+            if (!Array.isArray(rules)) {
+                throw new Error(`Redaction rules for ${collection} must be a list`);
+            }
+            rules.forEach(rule => {
+                validateRule(rule, collection);
+                if (rule.action === 'hash' || (rule.action === 'fake' && rule.value === undefined)) {
+                    needsSalt.push(rule.path);
+                }
+            });
+        }
+        if (needsSalt.length > 0 && !this.salt) {
+            throw new Error(`Redaction salt is required for hash/fake rules (${needsSalt.join(', ')})`);
+        }
+    }
+
+    static async fromFile(filePath) {
+        const config = interpolateEnv(await loadConfigFile(filePath), process.env, filePath);
+        return new Redactor(config || {});
+    }
+
+    rulesFor(collection) {
+        return [
+            ...(this.collections[ALL_COLLECTIONS] || []),
+            ...(this.collections[collection] || [])
+        ];
+    }
+
+    // What the manifest records: the rules without the salt
+    describe(collection) {
+        return this.rulesFor(collection).map(rule => ({ ...rule }));
+    }
+
+    // Returns a function redacting one document in place, or null when no rule applies
+    forCollection(collection) {
+        const rules = this.rulesFor(collection);
+        if (rules.length === 0) return null;
+
+        return (doc) => {
+            for (const rule of rules) {
+                this.applyRule(doc, rule.path.split('.'), rule);
+            }
+            return doc;
+        };
+    }
+
+    // Redact the $set of a captured update. Keys are dotted paths and may carry array
+    // indexes where a rule path does not. Changes inside a field that is redacted as a
+    // whole are left out, since the redacted value can't be recomputed from a part.
+    redactUpdatedFields(collection, updatedFields) {
+        const rules = this.rulesFor(collection);
+        const result = {};
+
+        for (const [key, value] of Object.entries(updatedFields)) {
+            let keep = true;
+            let redacted = value;
+
+            for (const rule of rules) {
+                const match = matchPath(key.split('.'), rule.path.split('.'));
+                if (!match) continue;
+
+                if (match.ruleRest.length > 0) {
+                    // The update sets a parent of the redacted path
+                    const holder = { value: redacted };
+                    this.applyRule(holder, ['value', ...match.ruleRest], rule);
+                    redacted = holder.value;
+                } else if (match.keyRest.length === 0 && rule.action !== 'drop') {
+                    redacted = this.redactValue(redacted, rule);
+                } else {
+                    keep = false;
+                    break;
+                }
+            }
+
+            if (keep) {
+                result[key] = redacted;
+            }
+        }
+        return result;
+    }
+
+    applyRule(node, segments, rule) {
+        if (Array.isArray(node)) {
+            // A numeric segment picks one element; otherwise the path continues in every element
+            if (/^\d+$/.test(segments[0])) {
+                const index = Number(segments[0]);
+                if (segments.length === 1) {
+                    if (index < node.length) node[index] = this.redactValue(node[index], rule);
+                } else if (index < node.length) {
+                    this.applyRule(node[index], segments.slice(1), rule);
+                }
+                return;
+            }
+            node.forEach(item => this.applyRule(item, segments, rule));
+            return;
+        }
+        if (!node || typeof node !== 'object' || !(segments[0] in node)) {
+            return;
+        }
+
+        const [head, ...rest] = segments;
+        if (rest.length > 0) {
+            this.applyRule(node[head], rest, rule);
+        } else if (rule.action === 'drop') {
+            delete node[head];
+        } else {
+            node[head] = this.redactValue(node[head], rule);
+        }
+    }
+
+    hash(value) {
+        const canonical = BSON.EJSON.stringify({ v: value }, { relaxed: false });
+        return crypto.createHmac('sha256', this.salt).update(canonical).digest('hex');
+    }
+
+    redactValue(value, rule) {
+        switch (rule.action) {
+            case 'null':
+                return null;
+            case 'truncate':
+                return typeof value === 'string' || Array.isArray(value) ? value.slice(0, rule.length) : value;
+            case 'hash': {
+                const digest = this.hash(value);
+                return rule.length ? digest.slice(0, rule.length) : digest;
+            }
+            case 'fake':
+                return rule.value !== undefined ? rule.value : this.fakeValue(value, rule.type || 'string');
+            default:
+                return value;
+        }
+    }
+
+    // Deterministic stand-ins that keep the shape of the original data
+    fakeValue(value, type) {
+        if (value === null || value === undefined) return value;
+
+        const digest = this.hash(value);
+        const number = parseInt(digest.slice(0, 8), 16);
+        switch (type) {
+            case 'email':
+                return `user-${digest.slice(0, 10)}@example.invalid`;
+            case 'name':
+                return `${FIRST_NAMES[number % FIRST_NAMES.length]} ${LAST_NAMES[Math.floor(number / FIRST_NAMES.length) % LAST_NAMES.length]}`;
+            case 'firstName':
+                return FIRST_NAMES[number % FIRST_NAMES.length];
+            case 'lastName':
+                return LAST_NAMES[number % LAST_NAMES.length];
+            case 'phone':
+                return `+1-555-${String(number % 10000000).padStart(7, '0')}`;
+            case 'number':
+                return number % 1000000;
+            default:
+                return `redacted-${digest.slice(0, 12)}`;
+        }
+    }
+}
+
+// Yield documents from any async iterable with the redaction applied
+async function* redactStream(source, redact) {
+    for await (const doc of source) {
+        yield redact(doc);
+    }
+}
+
+module.exports = { Redactor, REDACTION_ACTIONS, FAKE_TYPES, redactStream };
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { periodKey, periodStart } = require('./periods');
+
+// Retention rules in the order they are applied, with the calendar unit that
+// buckets runs for each one (keepLast keeps runs regardless of date)
+const RETENTION_RULES = [
+    { option: 'keepLast', label: 'last', unit: null },
+    { option: 'keepDaily', label: 'daily', unit: 'day' },
+    { option: 'keepWeekly', label: 'weekly', unit: 'week' },
+    { option: 'keepMonthly', label: 'monthly', unit: 'month' },
+    { option: 'keepYearly', label: 'yearly', unit: 'year' }
+];
+
+function hasRetentionRules(policy) {
+    return RETENTION_RULES.some(rule => policy[rule.option] > 0);
+}
+
+// Decide which runs to keep. For each calendar rule the newest run in each
+// day/week/month/year is kept, for up to N distinct periods, newest first.
+// Returns a Map of run -> list of rule labels that keep it.
+function selectRunsToKeep(runs, policy) {
+    const sorted = [...runs].sort((a, b) => b.createdAt - a.createdAt);
+    const reasons = new Map();
+
+    const keep = (run, label) => {
+        if (!reasons.has(run)) reasons.set(run, []);
+        reasons.get(run).push(label);
+    };
+
+    for (const rule of RETENTION_RULES) {
+        const limit = policy[rule.option];
+        if (!limit || limit <= 0) continue;
+
+        if (!rule.unit) {
+            sorted.slice(0, limit).forEach(run => keep(run, rule.label));
+            continue;
+        }
+
+        const seenPeriods = new Set();
+        for (const run of sorted) {
+            if (seenPeriods.size >= limit) break;
+
+            const key = periodKey(periodStart(run.createdAt, rule.unit), rule.unit);
+            if (!seenPeriods.has(key)) {
+                seenPeriods.add(key);
+                keep(run, `${rule.label} ${key}`);
+            }
+        }
+    }
+
+    return reasons;
+}
+
+module.exports = { RETENTION_RULES, hasRetentionRules, selectRunsToKeep };
\ No newline at end of file
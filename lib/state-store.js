@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const { withFileLock, readJsonFile, writeJsonFile } = require('./json-file');
+
+const STATE_VERSION = 2;
+
+function matchesScope(entry, scope) {
+    return Object.keys(scope).every(field => scope[field] === undefined || entry[field] === scope[field]);
+}
+
+class StateStore {
+    constructor(filePath, { itemsField }) {
+        this.filePath = filePath;
+        this.itemsField = itemsField;
+    }
+
+    emptyState() {
+        return { version: STATE_VERSION, entries: [] };
+    }
+
+    // Version 1 files held a single flat `{ <itemsField>: [], lastProcessed }` shared by every
+    // collection. The items cannot be attributed safely, so they are parked under `legacy`
+    // for callers to adopt after checking their own output.
+    migrate(data) {
+        if (data.version === STATE_VERSION) {
+            return data;
+        }
+        if (data.version === undefined && Array.isArray(data[this.itemsField])) {
+            return {
+                version: STATE_VERSION,
+                entries: [],
+                legacy: {
+                    [this.itemsField]: data[this.itemsField],
+                    lastProcessed: data.lastProcessed || null
+                }
+            };
+        }
+        throw new Error(`Unsupported state file version ${data.version} in ${this.filePath}`);
+    }
+
+    async read() {
+        let data;
+        try {
+            data = await readJsonFile(this.filePath);
+        } catch (error) {
+            throw new Error(`Corrupt state file ${this.filePath}: ${error.message}`);
+        }
+        return data ? this.migrate(data) : this.emptyState();
+    }
+
+    // Run a read-modify-write cycle under the per-file lock
+    async update(mutator) {
+        return await withFileLock(this.filePath, async () => {
+            const state = await this.read();
+            const result = await mutator(state);
+
+            if (state.entries.length === 0 && !state.legacy) {
+                await fs.unlink(this.filePath).catch(() => {});
+            } else {
+                await writeJsonFile(this.filePath, state);
+            }
+            return result;
+        });
+    }
+
+    async findEntries(scope) {
+        const state = await this.read();
+        return state.entries.filter(entry => matchesScope(entry, scope));
+    }
+
+    async findEntry(scope) {
+        const entries = await this.findEntries(scope);
+        return entries[0] || null;
+    }
+
+    async getLegacy() {
+        const state = await this.read();
+        return state.legacy || null;
+    }
+
+    async saveEntry(scope, entry) {
+        await this.update(state => {
+            const index = state.entries.findIndex(existing => matchesScope(existing, scope));
+            const updated = { ...scope, ...entry };
+            if (index > -1) {
+                state.entries[index] = updated;
+            } else {
+                state.entries.push(updated);
+            }
+        });
+    }
+
+    // Apply `mutator` to every matching entry; entries it returns null for are removed
+    async updateEntries(scope, mutator) {
+        await this.update(state => {
+            state.entries = state.entries
+                .map(entry => (matchesScope(entry, scope) ? mutator(entry) : entry))
+                .filter(Boolean);
+            if (state.entries.length === 0) {
+                delete state.legacy;
+            }
+        });
+    }
+
+    async removeEntries(scope) {
+        await this.update(state => {
+            state.entries = state.entries.filter(entry => !matchesScope(entry, scope));
+            if (state.entries.length === 0) {
+                // Nothing left that could still adopt the legacy items
+                delete state.legacy;
+            }
+        });
+    }
+
+    async dropLegacy() {
+        await this.update(state => {
+            delete state.legacy;
+        });
+    }
+}
+
+module.exports = { StateStore, STATE_VERSION };
\ No newline at end of file
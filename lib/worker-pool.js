@@ -0,0 +1,128 @@
+// What happens to the rest of a run when a chunk or collection fails
+const ERROR_POLICIES = ['continue', 'fail-fast'];
+
+function assertErrorPolicy(policy) {
+    if (!ERROR_POLICIES.includes(policy)) {
+        throw new Error(`Invalid error policy '${policy}'. Expected one of: ${ERROR_POLICIES.join(', ')}`);
+    }
+}
+
+function parseConcurrency(value) {
+    const concurrency = value === undefined || value === null ? 1 : Number(value);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Parallelism must be a positive integer, got '${value}'`);
+    }
+    return concurrency;
+}
+
+// Runs async tasks with at most `concurrency` in flight. One pool can be shared by
+// several dumpers or restorers, so chunks of different collections draw from the
+// same limit. Under fail-fast, tasks still queued after a failure are rejected
+// with an error marked `skipped` instead of running; tasks in flight finish.
+class WorkerPool {
+    constructor({ concurrency = 1, errorPolicy = 'continue' } = {}) {
+        this.concurrency = parseConcurrency(concurrency);
+        assertErrorPolicy(errorPolicy);
+        this.errorPolicy = errorPolicy;
+        this.active = 0;
+        this.queue = [];
+        this.failure = null;
+        this.total = 0;
+        this.completed = 0;
+        this.failed = 0;
+    }
+
+    get stopped() {
+        return this.errorPolicy === 'fail-fast' && this.failure !== null;
+    }
+
+    run(task) {
+        this.total++;
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+
+            if (this.stopped) {
+                const error = new Error(`Skipped after an earlier failure: ${this.failure.message}`);
+                error.skipped = true;
+                this.failed++;
+                reject(error);
+                continue;
+            }
+
+            this.active++;
+            Promise.resolve()
+                .then(task)
+                .then(result => {
+                    this.completed++;
+                    resolve(result);
+                }, error => {
+                    this.failed++;
+                    this.failure = this.failure || error;
+                    reject(error);
+                })
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    // Run `worker` over every item and wait for all of them, like Promise.allSettled.
+    // onCompleted runs after each success, once the pool's counters include it.
+    async settle(items, worker, onCompleted = () => {}) {
+        return await Promise.allSettled(items.map((item, index) =>
+            this.run(() => worker(item, index)).then(result => {
+                onCompleted(result, item);
+                return result;
+            })
+        ));
+    }
+
+    // Like settle, but each item starts only once the one before it has settled, for
+    // work that must happen in order. Every item still takes a slot of the pool.
+    async settleInOrder(items, worker, onCompleted = () => {}) {
+        const settled = [];
+        for (const [index, item] of items.entries()) {
+            try {
+                const result = await this.run(() => worker(item, index));
+                onCompleted(result, item);
+                settled.push({ status: 'fulfilled', value: result });
+            } catch (reason) {
+                settled.push({ status: 'rejected', reason });
+            }
+        }
+        return settled;
+    }
+
+    progress(noun = 'chunks') {
+        const done = this.completed + this.failed;
+        const percent = this.total > 0 ? (done / this.total * 100).toFixed(1) : '100.0';
+        return `${done}/${this.total} ${noun} completed (${percent}%)${this.failed > 0 ? `, ${this.failed} failed` : ''}`;
+    }
+}
+
+// Rejected results of settle(), with the reasons that weren't knock-on skips first
+function failuresOf(settled, labels) {
+    const failures = settled
+        .map((result, index) => (result.status === 'rejected' ? { label: labels[index], error: result.reason } : null))
+        .filter(Boolean);
+    return failures.sort((a, b) => Boolean(a.error.skipped) - Boolean(b.error.skipped));
+}
+
+// Status of a run over several collections: partial when only some of them failed,
+// cancelled when any of them was cut short by cancellation
+function runStatus(results) {
+    if (results.some(result => result.status === 'cancelled')) return 'cancelled';
+    const failed = results.filter(result => result.status === 'failed').length;
+    if (failed === 0) return 'completed';
+    return failed === results.length ? 'failed' : 'partial';
+}
+
+module.exports = { ERROR_POLICIES, WorkerPool, assertErrorPolicy, parseConcurrency, failuresOf, runStatus };
\ No newline at end of file